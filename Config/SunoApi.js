@@ -37,6 +37,17 @@ class SunoApiClient {
             timeout: this.timeout
         });
 
+        // File uploads are served from a separate host
+        this.uploadClient = axios.create({
+            baseURL: process.env.SUNO_UPLOAD_URL || 'https://sunoapiorg.redpandaai.co',
+            headers: {
+                'Authorization': `Bearer ${this.apiKey}`,
+                'Content-Type': 'application/json',
+                'User-Agent': 'MusicAI-Backend/1.0'
+            },
+            timeout: this.timeout
+        });
+
         // Request interceptor
         this.client.interceptors.request.use(
             (config) => {
@@ -88,10 +99,11 @@ class SunoApiClient {
                 model: this.mapModelVersion(params.model || params.model_version || 'V3_5'),
                 negativeTags: params.negativeTags || '',
                 vocalGender: params.vocalGender || 'm',
-                styleWeight: params.styleWeight || 0.65,
-                weirdnessConstraint: params.weirdnessConstraint || 0.65,
-                audioWeight: params.audioWeight || 0.65,
-                callBackUrl: params.callBackUrl || process.env.CALLBACK_URL
+                // A weight of 0 is valid, so only fall back when none was given
+                styleWeight: params.styleWeight ?? 0.65,
+                weirdnessConstraint: params.weirdnessConstraint ?? 0.65,
+                audioWeight: params.audioWeight ?? 0.65,
+                callBackUrl: params.callBackUrl || params.callback_url || process.env.CALLBACK_URL
             };
 
             console.log('🎵 Generating music with params:', requestData);
@@ -135,7 +147,8 @@ class SunoApiClient {
             const requestData = {
                 prompt: params.prompt || params.description,
                 style: params.style || '',
-                theme: params.theme || ''
+                theme: params.theme || '',
+                callBackUrl: params.callBackUrl || params.callback_url
             };
 
             const response = await this.client.post('/api/v1/make-lyrics', requestData);
@@ -161,9 +174,14 @@ class SunoApiClient {
     async extendMusic(params) {
         try {
             const requestData = {
+                defaultParamFlag: params.defaultParamFlag !== false,
                 audioId: params.audioId || params.audio_id,
                 prompt: params.prompt || '',
-                continueAt: params.continueAt || params.continue_at || 0
+                style: params.style || params.tags || '',
+                title: params.title || '',
+                continueAt: params.continueAt || params.continue_at || 0,
+                model: this.mapModelVersion(params.model || params.model_version || 'V3_5'),
+                callBackUrl: params.callBackUrl || params.callback_url || process.env.CALLBACK_URL
             };
 
             const response = await this.client.post('/api/v1/extend', requestData);
@@ -190,7 +208,9 @@ class SunoApiClient {
             const requestData = {
                 audioId: params.audioId || params.audio_id,
                 style: params.style || params.tags || '',
-                callBackUrl: params.callBackUrl || process.env.CALLBACK_URL
+                title: params.title || '',
+                model: this.mapModelVersion(params.model || params.model_version || 'V3_5'),
+                callBackUrl: params.callBackUrl || params.callback_url || process.env.CALLBACK_URL
             };
 
             const response = await this.client.post('/api/v1/suno/cover/generate', requestData);
@@ -348,9 +368,14 @@ class SunoApiClient {
             const response = await this.client.get(`/api/v1/make-lyrics/record-info?taskId=${taskId}`);
 
             if (response.data.code === 200) {
+                const data = response.data.data;
+
                 return {
                     success: true,
-                    data: response.data.data,
+                    status: data?.status || 'PENDING',
+                    lyrics: data?.response?.data || [],
+                    errorMessage: data?.errorMessage,
+                    data,
                     message: response.data.msg
                 };
             } else {
@@ -366,9 +391,15 @@ class SunoApiClient {
             const response = await this.client.get(`/api/v1/suno/cover/record-info?taskId=${taskId}`);
 
             if (response.data.code === 200) {
+                const data = response.data.data;
+
                 return {
                     success: true,
-                    data: response.data.data,
+                    status: data.response?.status || data.status || 'PROCESSING',
+                    songs: data.response?.sunoData || data.sunoData || [],
+                    data,
+                    taskId: data.taskId || taskId,
+                    errorMessage: data.response?.errorMessage || data.errorMessage,
                     message: response.data.msg
                 };
             } else {
@@ -378,6 +409,372 @@ class SunoApiClient {
             throw this.handleError(error);
         }
     }
+
+    // ✅ Convert to WAV
+    async convertToWav(params) {
+        try {
+            const requestData = {
+                taskId: params.taskId || params.task_id,
+                audioId: params.audioId || params.audio_id,
+                callBackUrl: params.callBackUrl || params.callback_url || process.env.CALLBACK_URL
+            };
+
+            if (!requestData.taskId || !requestData.audioId) {
+                throw new Error('Task ID and audio ID are required for WAV conversion');
+            }
+
+            const response = await this.client.post('/api/v1/wav/generate', requestData);
+
+            if (response.data.code === 200) {
+                return {
+                    success: true,
+                    taskId: response.data.data.taskId,
+                    id: response.data.data.taskId,
+                    message: response.data.msg || 'WAV conversion started successfully'
+                };
+            } else {
+                throw new Error(response.data.msg || 'WAV conversion failed');
+            }
+
+        } catch (error) {
+            console.error('Convert to WAV error:', error);
+            throw this.handleError(error);
+        }
+    }
+
+    // ✅ Separate Vocals
+    async separateVocals(params) {
+        try {
+            const requestData = {
+                taskId: params.taskId || params.task_id,
+                audioId: params.audioId || params.audio_id,
+                callBackUrl: params.callBackUrl || params.callback_url || process.env.CALLBACK_URL
+            };
+
+            if (!requestData.taskId || !requestData.audioId) {
+                throw new Error('Task ID and audio ID are required for vocal separation');
+            }
+
+            const response = await this.client.post('/api/v1/vocal-removal/generate', requestData);
+
+            if (response.data.code === 200) {
+                return {
+                    success: true,
+                    taskId: response.data.data.taskId,
+                    id: response.data.data.taskId,
+                    message: response.data.msg || 'Vocal separation started successfully'
+                };
+            } else {
+                throw new Error(response.data.msg || 'Vocal separation failed');
+            }
+
+        } catch (error) {
+            console.error('Separate vocals error:', error);
+            throw this.handleError(error);
+        }
+    }
+
+    // ✅ Upload Audio (base64 or remote URL)
+    async uploadAudio(params, uploadType = 'base64') {
+        try {
+            const fileName = params.fileName || params.file_name || `upload_${Date.now()}.mp3`;
+            const uploadPath = params.uploadPath || 'musicai/uploads';
+
+            let response;
+
+            switch (uploadType) {
+                case 'base64':
+                    response = await this.uploadClient.post('/api/file-base64-upload', {
+                        base64Data: params.base64Data || params.audio_data,
+                        uploadPath,
+                        fileName
+                    });
+                    break;
+                case 'url':
+                    response = await this.uploadClient.post('/api/file-url-upload', {
+                        fileUrl: params.fileUrl || params.audio_url || params.audio_data,
+                        uploadPath,
+                        fileName
+                    });
+                    break;
+                default:
+                    throw new Error(`Unsupported upload type: ${uploadType}`);
+            }
+
+            if (response.data.code === 200) {
+                const data = response.data.data;
+
+                return {
+                    success: true,
+                    audioUrl: data.downloadUrl,
+                    fileId: data.filePath,
+                    fileName: data.fileName,
+                    fileSize: data.fileSize,
+                    mimeType: data.mimeType,
+                    message: response.data.msg || 'Audio uploaded successfully'
+                };
+            } else {
+                throw new Error(response.data.msg || 'Audio upload failed');
+            }
+
+        } catch (error) {
+            console.error('Upload audio error:', error);
+            throw this.handleError(error);
+        }
+    }
+
+    // ✅ Create a music video from a generated track
+    async createMusicVideo(params) {
+        try {
+            const requestData = {
+                taskId: params.taskId || params.task_id,
+                audioId: params.audioId || params.audio_id,
+                callBackUrl: params.callBackUrl || params.callback_url || process.env.CALLBACK_URL
+            };
+
+            if (params.author) requestData.author = params.author;
+            if (params.domainName || params.domain_name) {
+                requestData.domainName = params.domainName || params.domain_name;
+            }
+
+            if (!requestData.taskId || !requestData.audioId) {
+                throw new Error('Task ID and audio ID are required for music video creation');
+            }
+
+            const response = await this.client.post('/api/v1/mp4/generate', requestData);
+
+            if (response.data.code === 200) {
+                return {
+                    success: true,
+                    taskId: response.data.data.taskId,
+                    id: response.data.data.taskId,
+                    message: response.data.msg || 'Music video creation started successfully'
+                };
+            } else {
+                throw new Error(response.data.msg || 'Music video creation failed');
+            }
+
+        } catch (error) {
+            console.error('Create music video error:', error);
+            throw this.handleError(error);
+        }
+    }
+
+    // ✅ Timestamped Lyrics (returns the aligned words synchronously)
+    async getTimestampedLyrics(params) {
+        try {
+            const requestData = {
+                taskId: params.taskId || params.task_id,
+                audioId: params.audioId || params.audio_id
+            };
+
+            if (!requestData.taskId || !requestData.audioId) {
+                throw new Error('Task ID and audio ID are required for timestamped lyrics');
+            }
+
+            const response = await this.client.post('/api/v1/generate/get-timestamped-lyrics', requestData);
+
+            if (response.data.code === 200) {
+                const data = response.data.data || {};
+
+                return {
+                    success: true,
+                    alignedWords: data.alignedWords || [],
+                    waveformData: data.waveformData || [],
+                    message: response.data.msg || 'Timestamped lyrics retrieved successfully'
+                };
+            } else {
+                throw new Error(response.data.msg || 'Failed to get timestamped lyrics');
+            }
+
+        } catch (error) {
+            console.error('Get timestamped lyrics error:', error);
+            throw this.handleError(error);
+        }
+    }
+
+    // ✅ Boost Music Style (returns the boosted style synchronously)
+    async boostMusicStyle(params) {
+        try {
+            const requestData = {
+                content: params.content || params.style_prompt || params.style
+            };
+
+            if (!requestData.content) {
+                throw new Error('Style content is required to boost a music style');
+            }
+
+            const response = await this.client.post('/api/v1/style/generate', requestData);
+
+            if (response.data.code === 200) {
+                const data = response.data.data || {};
+
+                return {
+                    success: true,
+                    taskId: data.taskId,
+                    id: data.taskId,
+                    style: data.result || '',
+                    creditsConsumed: data.creditsConsumed,
+                    message: response.data.msg || 'Music style boosted successfully'
+                };
+            } else {
+                throw new Error(response.data.msg || 'Music style boost failed');
+            }
+
+        } catch (error) {
+            console.error('Boost music style error:', error);
+            throw this.handleError(error);
+        }
+    }
+
+    // ✅ Add Instrumental to an uploaded vocal track
+    async addInstrumental(params) {
+        try {
+            const requestData = {
+                uploadUrl: params.uploadUrl || params.upload_url || params.audio_url,
+                title: params.title || 'Untitled Song',
+                tags: params.tags || params.instrumental_prompt || '',
+                negativeTags: params.negativeTags || params.negative_tags || '',
+                model: this.mapModelVersion(params.model || params.model_version || 'V4_5'),
+                callBackUrl: params.callBackUrl || params.callback_url || process.env.CALLBACK_URL
+            };
+
+            if (!requestData.uploadUrl) {
+                throw new Error('Upload URL is required to add an instrumental');
+            }
+
+            const response = await this.client.post('/api/v1/generate/add-instrumental', requestData);
+
+            if (response.data.code === 200) {
+                return {
+                    success: true,
+                    taskId: response.data.data.taskId,
+                    id: response.data.data.taskId,
+                    message: response.data.msg || 'Add instrumental started successfully'
+                };
+            } else {
+                throw new Error(response.data.msg || 'Add instrumental failed');
+            }
+
+        } catch (error) {
+            console.error('Add instrumental error:', error);
+            throw this.handleError(error);
+        }
+    }
+
+    // ✅ Add Vocals to an uploaded instrumental track
+    async addVocals(params) {
+        try {
+            const requestData = {
+                uploadUrl: params.uploadUrl || params.upload_url || params.audio_url,
+                prompt: params.prompt || params.vocals_prompt || '',
+                title: params.title || 'Untitled Song',
+                style: params.style || params.voice_style || '',
+                negativeTags: params.negativeTags || params.negative_tags || '',
+                model: this.mapModelVersion(params.model || params.model_version || 'V4_5'),
+                callBackUrl: params.callBackUrl || params.callback_url || process.env.CALLBACK_URL
+            };
+
+            if (!requestData.uploadUrl) {
+                throw new Error('Upload URL is required to add vocals');
+            }
+
+            const response = await this.client.post('/api/v1/generate/add-vocals', requestData);
+
+            if (response.data.code === 200) {
+                return {
+                    success: true,
+                    taskId: response.data.data.taskId,
+                    id: response.data.data.taskId,
+                    message: response.data.msg || 'Add vocals started successfully'
+                };
+            } else {
+                throw new Error(response.data.msg || 'Add vocals failed');
+            }
+
+        } catch (error) {
+            console.error('Add vocals error:', error);
+            throw this.handleError(error);
+        }
+    }
+
+    async getWavConversionDetails(taskId) {
+        try {
+            const response = await this.client.get(`/api/v1/wav/record-info?taskId=${taskId}`);
+
+            if (response.data.code === 200) {
+                const data = response.data.data || {};
+
+                return {
+                    success: true,
+                    status: data.successFlag || data.status || 'PENDING',
+                    wavUrl: data.response?.audioWavUrl || data.response?.audio_wav_url,
+                    data,
+                    taskId: data.taskId || taskId,
+                    errorMessage: data.errorMessage,
+                    message: response.data.msg
+                };
+            } else {
+                throw new Error(response.data.msg || 'Failed to get WAV conversion details');
+            }
+        } catch (error) {
+            throw this.handleError(error);
+        }
+    }
+
+    async getAudioSeparationDetails(taskId) {
+        try {
+            const response = await this.client.get(`/api/v1/vocal-removal/record-info?taskId=${taskId}`);
+
+            if (response.data.code === 200) {
+                const data = response.data.data || {};
+                const result = data.response || {};
+
+                return {
+                    success: true,
+                    status: data.successFlag || data.status || 'PENDING',
+                    vocalUrl: result.vocalUrl || result.vocal_url,
+                    instrumentalUrl: result.instrumentalUrl || result.instrumental_url,
+                    originUrl: result.originUrl || result.origin_url,
+                    data,
+                    taskId: data.taskId || taskId,
+                    errorMessage: data.errorMessage,
+                    message: response.data.msg
+                };
+            } else {
+                throw new Error(response.data.msg || 'Failed to get audio separation details');
+            }
+        } catch (error) {
+            throw this.handleError(error);
+        }
+    }
+
+    async getMusicVideoDetails(taskId) {
+        try {
+            const response = await this.client.get(`/api/v1/mp4/record-info?taskId=${taskId}`);
+
+            if (response.data.code === 200) {
+                const data = response.data.data || {};
+
+                return {
+                    success: true,
+                    status: data.successFlag || data.status || 'PENDING',
+                    videoUrl: data.response?.videoUrl || data.response?.video_url,
+                    data,
+                    taskId: data.taskId || taskId,
+                    errorMessage: data.errorMessage,
+                    message: response.data.msg
+                };
+            } else {
+                throw new Error(response.data.msg || 'Failed to get music video details');
+            }
+        } catch (error) {
+            throw this.handleError(error);
+        }
+    }
 }
 
+// ✅ Shared client instance for controllers and services
+export const sunoApi = new SunoApiClient();
+
 export default SunoApiClient;
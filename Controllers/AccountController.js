@@ -1,6 +1,7 @@
-import sunoApi from '../Config/SunoApi.js';
+import { sunoApi } from '../Config/SunoApi.js';
 import User from '../Models/User.js';
 import Song from '../Models/Song.js';
+import { grantCredits, getCreditHistory } from '../Services/CreditLedger.js';
 
 
 
@@ -85,18 +86,13 @@ class AccountController {
                 });
             }
 
-            const oldBalance = user.credits;
-            await user.addCredits(amount);
-
-            // Log the transaction (in production, save to a transactions table)
-            console.log('Credit purchase:', {
-                userId,
+            const paymentReference = transactionId || `tx_${Date.now()}`;
+            const { transaction } = await grantCredits({
+                user: userId,
                 amount,
-                paymentMethod,
-                transactionId,
-                oldBalance,
-                newBalance: user.credits,
-                timestamp: new Date()
+                type: 'purchase',
+                description: `Purchased ${amount} credits`,
+                metadata: { paymentMethod, transactionId: paymentReference }
             });
 
             res.json({
@@ -104,9 +100,10 @@ class AccountController {
                 message: `Successfully added ${amount} credits to your account`,
                 data: {
                     creditsAdded: amount,
-                    previousBalance: oldBalance,
-                    newBalance: user.credits,
-                    transactionId: transactionId || `tx_${Date.now()}`
+                    previousBalance: transaction.balanceAfter - amount,
+                    newBalance: transaction.balanceAfter,
+                    transactionId: paymentReference,
+                    ledgerTransactionId: transaction._id
                 }
             });
 
@@ -175,11 +172,18 @@ class AccountController {
                 autoRenew: true
             };
 
-            // Add bonus credits for pro users
-            await user.addCredits(bonusCredits);
-
             await user.save();
 
+            // Add bonus credits for pro users
+            const { transaction } = await grantCredits({
+                user: userId,
+                amount: bonusCredits,
+                type: 'bonus',
+                feature: 'upgrade',
+                description: `${plan.toUpperCase()} upgrade bonus`,
+                metadata: { plan, duration }
+            });
+
             res.json({
                 success: true,
                 message: `Successfully upgraded to ${plan.toUpperCase()}!`,
@@ -188,7 +192,7 @@ class AccountController {
                     proExpiresAt: user.proExpiresAt,
                     subscription: user.subscription,
                     bonusCreditsAdded: bonusCredits,
-                    newBalance: user.credits
+                    newBalance: transaction.balanceAfter
                 }
             });
 
@@ -334,28 +338,21 @@ class AccountController {
     async getUsageHistory(req, res) {
         try {
             const userId = req.user.id;
-            const { page = 1, limit = 50, startDate, endDate } = req.query;
-
-            const query = { user: userId };
-
-            if (startDate || endDate) {
-                query.createdAt = {};
-                if (startDate) query.createdAt.$gte = new Date(startDate);
-                if (endDate) query.createdAt.$lte = new Date(endDate);
-            }
-
-            const songs = await Song.find(query)
-                .select('title status creditsUsed modelVersion createdAt completedAt')
-                .sort({ createdAt: -1 })
-                .limit(limit * 1)
-                .skip((page - 1) * limit);
-
-            const total = await Song.countDocuments(query);
+            const { page = 1, limit = 50, type, feature, startDate, endDate } = req.query;
+
+            const { transactions, total } = await getCreditHistory(userId, {
+                page,
+                limit,
+                type,
+                feature,
+                startDate,
+                endDate
+            });
 
             res.json({
                 success: true,
                 data: {
-                    usage: songs,
+                    usage: transactions,
                     pagination: {
                         page: parseInt(page),
                         limit: parseInt(limit),
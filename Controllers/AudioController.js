@@ -1,47 +1,135 @@
-import sunoApi from '../Config/SunoApi.js';
-import User from '../Models/User.js';
+import { sunoApi } from '../Config/SunoApi.js';
 import Song from '../Models/Song.js';
 import { CREDIT_COSTS } from '../Utils/Constants.js';
+import { enqueueJob } from '../Services/JobQueue.js';
+import {
+    reserveCredits,
+    attachTask,
+    settleReservation,
+    refundReservation
+} from '../Services/CreditLedger.js';
+import { withCallbackToken } from '../Utils/WebhookSignature.js';
+import {
+    findSongByTaskId,
+    applyGenerationCallback,
+    failSong
+} from '../Services/GenerationService.js';
+import {
+    parseAudioCallback,
+    findSongByAudioTask,
+    applyWavResult,
+    applySeparationResult,
+    applyBoostResult,
+    failAudioTask
+} from '../Services/AudioProcessingService.js';
+import { getAccessibleSong, getAuthorizedWorkspace } from '../Services/Authorization.js';
+import { createDerivedSong } from '../Services/SongLineage.js';
+import { getAssetUrl } from '../Services/Storage/index.js';
+
+// Send an authorization failure (404/403) as a normal response
+const sendAccessError = (res, error) => res.status(error.status).json({
+    success: false,
+    message: error.message
+});
+
+// Fresh signed link Suno can fetch a song's stored audio from, trying each kind in turn
+const getStoredAudioUrl = async (song, kinds) => {
+    const key = kinds.map(kind => song.storageKeys?.[kind]).find(Boolean);
+    return key ? getAssetUrl(key) : null;
+};
+
+// Complete or fail the child song created by add-instrumental/add-vocals
+const processDerivedSongCallback = async (result) => {
+    if (!result.taskId) return;
+
+    if (result.success && result.clips.length > 0) {
+        await applyGenerationCallback(result.taskId, result.callbackType || 'complete', result.clips);
+    } else if (result.success === false) {
+        const song = await findSongByTaskId(result.taskId);
+        if (song) await failSong(song, result.errorMessage);
+    }
+};
 
 class AudioController {
     // Convert to WAV
     async convertToWav(req, res) {
         try {
-            const { audio_url, callback_url } = req.body;
+            const { song_id } = req.body;
             const userId = req.user.id;
             const creditCost = CREDIT_COSTS.CONVERT_WAV;
 
-            if (!audio_url) {
+            if (!song_id) {
                 return res.status(400).json({
                     success: false,
-                    message: 'Audio URL is required'
+                    message: 'Song ID is required'
                 });
             }
 
-            const user = await User.findById(userId);
-            if (user.credits < creditCost) {
+            let song;
+            try {
+                ({ song } = await getAccessibleSong(song_id, { user: req.user, action: 'edit' }));
+            } catch (accessError) {
+                if (!accessError.status) throw accessError;
+                return sendAccessError(res, accessError);
+            }
+
+            if (!song.sunoTaskId || !song.sunoAudioId) {
                 return res.status(400).json({
                     success: false,
-                    message: `Insufficient credits. You need at least ${creditCost} credits.`
+                    message: 'Only completed Suno songs can be converted to WAV'
+                });
+            }
+
+            // Signed callback URL so the webhook can prove which task it belongs to
+            const callback = withCallbackToken(`${process.env.BACKEND_URL}/api/audio/wav-callback`);
+
+            let reservation;
+            try {
+                reservation = await reserveCredits({
+                    user: userId,
+                    amount: creditCost,
+                    feature: 'wav',
+                    song: song._id,
+                    description: `WAV conversion: ${song.title}`
+                });
+            } catch (creditError) {
+                return res.status(creditError.status || 500).json({
+                    success: false,
+                    message: creditError.message,
+                    required: creditError.required,
+                    available: creditError.available
                 });
             }
 
             const sunoParams = {
-                audio_url,
-                callback_url: callback_url || `${process.env.BACKEND_URL}/api/audio/wav-callback`
+                task_id: song.sunoTaskId,
+                audio_id: song.sunoAudioId,
+                callback_url: callback.url
             };
 
             try {
                 const sunoResponse = await sunoApi.convertToWav(sunoParams);
 
-                await user.deductCredits(creditCost);
+                await attachTask(reservation, { taskId: sunoResponse.taskId });
+
+                song.sunoTaskIds.push({ type: 'wav', taskId: sunoResponse.taskId, status: 'processing' });
+                await song.addLog('info', 'WAV conversion started', { taskId: sunoResponse.taskId });
+
+                await enqueueJob({
+                    taskId: sunoResponse.taskId,
+                    type: 'wav',
+                    song: song._id,
+                    user: userId,
+                    callbackToken: callback.token
+                });
 
                 res.json({
                     success: true,
                     message: 'WAV conversion started successfully',
                     data: {
-                        taskId: sunoResponse.id,
-                        status: sunoResponse.status || 'pending',
+                        songId: song._id,
+                        taskId: sunoResponse.taskId,
+                        status: 'pending',
                         creditsUsed: creditCost,
                         estimatedTime: '1-2 minutes'
                     }
@@ -49,6 +137,7 @@ class AudioController {
 
             } catch (apiError) {
                 console.error('WAV conversion API error:', apiError);
+                await refundReservation(reservation._id, `Suno request failed: ${apiError.message}`);
                 throw apiError;
             }
 
@@ -65,41 +154,82 @@ class AudioController {
     // Separate Vocals
     async separateVocals(req, res) {
         try {
-            const { audio_url, callback_url } = req.body;
+            const { song_id } = req.body;
             const userId = req.user.id;
             const creditCost = CREDIT_COSTS.SEPARATE_VOCALS;
 
-            if (!audio_url) {
+            if (!song_id) {
                 return res.status(400).json({
                     success: false,
-                    message: 'Audio URL is required'
+                    message: 'Song ID is required'
                 });
             }
 
-            const user = await User.findById(userId);
-            if (user.credits < creditCost) {
+            let song;
+            try {
+                ({ song } = await getAccessibleSong(song_id, { user: req.user, action: 'edit' }));
+            } catch (accessError) {
+                if (!accessError.status) throw accessError;
+                return sendAccessError(res, accessError);
+            }
+
+            if (!song.sunoTaskId || !song.sunoAudioId) {
                 return res.status(400).json({
                     success: false,
-                    message: `Insufficient credits. You need at least ${creditCost} credits.`
+                    message: 'Only completed Suno songs can be separated'
+                });
+            }
+
+            // Signed callback URL so the webhook can prove which task it belongs to
+            const callback = withCallbackToken(`${process.env.BACKEND_URL}/api/audio/separate-callback`);
+
+            let reservation;
+            try {
+                reservation = await reserveCredits({
+                    user: userId,
+                    amount: creditCost,
+                    feature: 'separate',
+                    song: song._id,
+                    description: `Vocal separation: ${song.title}`
+                });
+            } catch (creditError) {
+                return res.status(creditError.status || 500).json({
+                    success: false,
+                    message: creditError.message,
+                    required: creditError.required,
+                    available: creditError.available
                 });
             }
 
             const sunoParams = {
-                audio_url,
-                callback_url: callback_url || `${process.env.BACKEND_URL}/api/audio/separate-callback`
+                task_id: song.sunoTaskId,
+                audio_id: song.sunoAudioId,
+                callback_url: callback.url
             };
 
             try {
                 const sunoResponse = await sunoApi.separateVocals(sunoParams);
 
-                await user.deductCredits(creditCost);
+                await attachTask(reservation, { taskId: sunoResponse.taskId });
+
+                song.sunoTaskIds.push({ type: 'separate', taskId: sunoResponse.taskId, status: 'processing' });
+                await song.addLog('info', 'Vocal separation started', { taskId: sunoResponse.taskId });
+
+                await enqueueJob({
+                    taskId: sunoResponse.taskId,
+                    type: 'separate',
+                    song: song._id,
+                    user: userId,
+                    callbackToken: callback.token
+                });
 
                 res.json({
                     success: true,
                     message: 'Vocal separation started successfully',
                     data: {
-                        taskId: sunoResponse.id,
-                        status: sunoResponse.status || 'pending',
+                        songId: song._id,
+                        taskId: sunoResponse.taskId,
+                        status: 'pending',
                         creditsUsed: creditCost,
                         estimatedTime: '2-4 minutes'
                     }
@@ -107,6 +237,7 @@ class AudioController {
 
             } catch (apiError) {
                 console.error('Vocal separation API error:', apiError);
+                await refundReservation(reservation._id, `Suno request failed: ${apiError.message}`);
                 throw apiError;
             }
 
@@ -132,6 +263,13 @@ class AudioController {
                 });
             }
 
+            if (!['base64', 'url'].includes(upload_type)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Upload type must be base64 or url'
+                });
+            }
+
             const uploadParams = {
                 audio_data,
                 file_name: file_name || `upload_${Date.now()}`
@@ -144,9 +282,10 @@ class AudioController {
                     success: true,
                     message: 'Audio uploaded successfully',
                     data: {
-                        audioUrl: sunoResponse.audio_url,
-                        fileId: sunoResponse.file_id,
-                        duration: sunoResponse.duration
+                        audioUrl: sunoResponse.audioUrl,
+                        fileId: sunoResponse.fileId,
+                        fileName: sunoResponse.fileName,
+                        fileSize: sunoResponse.fileSize
                     }
                 });
 
@@ -168,56 +307,75 @@ class AudioController {
     // Boost Music Style
     async boostMusicStyle(req, res) {
         try {
-            const {
-                audio_url,
-                style_prompt,
-                intensity = 0.7,
-                callback_url
-            } = req.body;
+            const { song_id, style_prompt } = req.body;
 
             const userId = req.user.id;
             const creditCost = CREDIT_COSTS.BOOST_STYLE;
 
-            if (!audio_url || !style_prompt) {
+            if (!song_id || !style_prompt || style_prompt.trim().length === 0) {
                 return res.status(400).json({
                     success: false,
-                    message: 'Audio URL and style prompt are required'
+                    message: 'Song ID and style prompt are required'
                 });
             }
 
-            const user = await User.findById(userId);
-            if (user.credits < creditCost) {
-                return res.status(400).json({
+            let song;
+            try {
+                ({ song } = await getAccessibleSong(song_id, { user: req.user, action: 'edit' }));
+            } catch (accessError) {
+                if (!accessError.status) throw accessError;
+                return sendAccessError(res, accessError);
+            }
+
+            let reservation;
+            try {
+                reservation = await reserveCredits({
+                    user: userId,
+                    amount: creditCost,
+                    feature: 'boost',
+                    song: song._id,
+                    description: `Style boost: ${song.title}`
+                });
+            } catch (creditError) {
+                return res.status(creditError.status || 500).json({
                     success: false,
-                    message: `Insufficient credits. You need at least ${creditCost} credits.`
+                    message: creditError.message,
+                    required: creditError.required,
+                    available: creditError.available
                 });
             }
 
             const sunoParams = {
-                audio_url,
-                style_prompt: style_prompt.trim(),
-                intensity: Math.max(0.1, Math.min(1.0, intensity)),
-                callback_url: callback_url || `${process.env.BACKEND_URL}/api/audio/boost-callback`
+                content: style_prompt.trim()
             };
 
             try {
                 const sunoResponse = await sunoApi.boostMusicStyle(sunoParams);
 
-                await user.deductCredits(creditCost);
+                // Style boosts return synchronously, so the reservation is spent straight away
+                await attachTask(reservation, { taskId: sunoResponse.taskId });
+                await settleReservation(reservation._id);
+
+                if (sunoResponse.taskId) {
+                    song.sunoTaskIds.push({ type: 'boost', taskId: sunoResponse.taskId, status: 'processing' });
+                    await applyBoostResult(song, sunoResponse.taskId, { style: sunoResponse.style });
+                }
 
                 res.json({
                     success: true,
-                    message: 'Music style boost started successfully',
+                    message: 'Music style boosted successfully',
                     data: {
-                        taskId: sunoResponse.id,
-                        status: sunoResponse.status || 'pending',
-                        creditsUsed: creditCost,
-                        estimatedTime: '3-5 minutes'
+                        songId: song._id,
+                        taskId: sunoResponse.taskId,
+                        style: sunoResponse.style,
+                        status: 'completed',
+                        creditsUsed: creditCost
                     }
                 });
 
             } catch (apiError) {
                 console.error('Boost style API error:', apiError);
+                await refundReservation(reservation._id, `Suno request failed: ${apiError.message}`);
                 throw apiError;
             }
 
@@ -225,7 +383,7 @@ class AudioController {
             console.error('Boost music style error:', error);
             res.status(500).json({
                 success: false,
-                message: error.message || 'Failed to start music style boost',
+                message: error.message || 'Failed to boost music style',
                 error: process.env.NODE_ENV === 'development' ? error.message : undefined
             });
         }
@@ -235,48 +393,120 @@ class AudioController {
     async addInstrumental(req, res) {
         try {
             const {
-                audio_url,
-                instrumental_prompt,
-                blend_ratio = 0.5,
-                callback_url
+                song_id,
+                upload_url,
+                title,
+                tags,
+                negative_tags = '',
+                model_version
             } = req.body;
 
             const userId = req.user.id;
             const creditCost = CREDIT_COSTS.ADD_INSTRUMENTAL;
 
-            if (!audio_url || !instrumental_prompt) {
+            if (!song_id || !tags) {
                 return res.status(400).json({
                     success: false,
-                    message: 'Audio URL and instrumental prompt are required'
+                    message: 'Song ID and tags are required'
                 });
             }
 
-            const user = await User.findById(userId);
-            if (user.credits < creditCost) {
+            let sourceSong;
+            try {
+                ({ song: sourceSong } = await getAccessibleSong(song_id, { user: req.user, action: 'view' }));
+            } catch (accessError) {
+                if (!accessError.status) throw accessError;
+                return sendAccessError(res, accessError);
+            }
+
+            // The new song lands in the source's workspace, so the user must be allowed to create songs there
+            let workspace;
+            try {
+                workspace = await getAuthorizedWorkspace(sourceSong.workspace, userId, 'canCreateSongs');
+            } catch (accessError) {
+                if (!accessError.status) throw accessError;
+                return sendAccessError(res, accessError);
+            }
+
+            const uploadUrl = upload_url || await getStoredAudioUrl(sourceSong, ['audio']);
+            if (!uploadUrl) {
                 return res.status(400).json({
                     success: false,
-                    message: `Insufficient credits. You need at least ${creditCost} credits.`
+                    message: 'Song has no stored audio to add an instrumental to'
                 });
             }
 
+            // Signed callback URL so the webhook can prove which task it belongs to
+            const callback = withCallbackToken(`${process.env.BACKEND_URL}/api/audio/instrumental-callback`);
+
+            let reservation;
+            try {
+                reservation = await reserveCredits({
+                    user: userId,
+                    amount: creditCost,
+                    feature: 'instrumental',
+                    description: `Add instrumental: ${sourceSong.title}`
+                });
+            } catch (creditError) {
+                return res.status(creditError.status || 500).json({
+                    success: false,
+                    message: creditError.message,
+                    required: creditError.required,
+                    available: creditError.available
+                });
+            }
+
+            const songTitle = title?.trim() || `${sourceSong.title} (Instrumental)`;
+
             const sunoParams = {
-                audio_url,
-                instrumental_prompt: instrumental_prompt.trim(),
-                blend_ratio: Math.max(0.1, Math.min(1.0, blend_ratio)),
-                callback_url: callback_url || `${process.env.BACKEND_URL}/api/audio/instrumental-callback`
+                upload_url: uploadUrl,
+                title: songTitle,
+                tags: tags.trim(),
+                negative_tags: negative_tags.trim(),
+                model_version: model_version || sourceSong.modelVersion,
+                callback_url: callback.url
             };
 
             try {
                 const sunoResponse = await sunoApi.addInstrumental(sunoParams);
 
-                await user.deductCredits(creditCost);
+                const song = await createDerivedSong(sourceSong, {
+                    derivationType: 'instrumental',
+                    workspace,
+                    user: userId,
+                    status: 'pending',
+                    modelVersion: sourceSong.modelVersion,
+                    title: songTitle,
+                    description: `Instrumental added to ${sourceSong.title}`,
+                    styleTags: tags.split(',').map(tag => tag.trim()).filter(Boolean),
+                    isInstrumental: false,
+                    creditsUsed: creditCost
+                });
+
+                song.sunoTaskId = sunoResponse.taskId;
+                song.sunoTaskIds.push({ type: 'instrumental', taskId: sunoResponse.taskId, status: 'processing' });
+                song.status = 'generating';
+                await song.save();
+
+                await attachTask(reservation, { taskId: sunoResponse.taskId, song: song._id });
+
+                await enqueueJob({
+                    taskId: sunoResponse.taskId,
+                    type: 'instrumental',
+                    song: song._id,
+                    user: userId,
+                    callbackToken: callback.token
+                });
 
                 res.json({
                     success: true,
                     message: 'Add instrumental started successfully',
                     data: {
-                        taskId: sunoResponse.id,
-                        status: sunoResponse.status || 'pending',
+                        songId: song._id,
+                        parentSongId: sourceSong._id,
+                        version: song.version,
+                        taskId: sunoResponse.taskId,
+                        status: 'pending',
                         creditsUsed: creditCost,
                         estimatedTime: '2-4 minutes'
                     }
@@ -284,6 +514,7 @@ class AudioController {
 
             } catch (apiError) {
                 console.error('Add instrumental API error:', apiError);
+                await refundReservation(reservation._id, `Suno request failed: ${apiError.message}`);
                 throw apiError;
             }
 
@@ -301,50 +532,122 @@ class AudioController {
     async addVocals(req, res) {
         try {
             const {
-                audio_url,
-                vocals_prompt,
-                voice_style = 'natural',
-                blend_ratio = 0.7,
-                callback_url
+                song_id,
+                upload_url,
+                prompt,
+                title,
+                style,
+                negative_tags = '',
+                model_version
             } = req.body;
 
             const userId = req.user.id;
             const creditCost = CREDIT_COSTS.ADD_VOCALS;
 
-            if (!audio_url || !vocals_prompt) {
+            if (!song_id || !prompt || !style) {
                 return res.status(400).json({
                     success: false,
-                    message: 'Audio URL and vocals prompt are required'
+                    message: 'Song ID, prompt and style are required'
                 });
             }
 
-            const user = await User.findById(userId);
-            if (user.credits < creditCost) {
+            let sourceSong;
+            try {
+                ({ song: sourceSong } = await getAccessibleSong(song_id, { user: req.user, action: 'view' }));
+            } catch (accessError) {
+                if (!accessError.status) throw accessError;
+                return sendAccessError(res, accessError);
+            }
+
+            // The new song lands in the source's workspace, so the user must be allowed to create songs there
+            let workspace;
+            try {
+                workspace = await getAuthorizedWorkspace(sourceSong.workspace, userId, 'canCreateSongs');
+            } catch (accessError) {
+                if (!accessError.status) throw accessError;
+                return sendAccessError(res, accessError);
+            }
+
+            const uploadUrl = upload_url || await getStoredAudioUrl(sourceSong, ['instrumental', 'audio']);
+            if (!uploadUrl) {
                 return res.status(400).json({
                     success: false,
-                    message: `Insufficient credits. You need at least ${creditCost} credits.`
+                    message: 'Song has no stored audio to add vocals to'
+                });
+            }
+
+            // Signed callback URL so the webhook can prove which task it belongs to
+            const callback = withCallbackToken(`${process.env.BACKEND_URL}/api/audio/vocals-callback`);
+
+            let reservation;
+            try {
+                reservation = await reserveCredits({
+                    user: userId,
+                    amount: creditCost,
+                    feature: 'vocals',
+                    description: `Add vocals: ${sourceSong.title}`
+                });
+            } catch (creditError) {
+                return res.status(creditError.status || 500).json({
+                    success: false,
+                    message: creditError.message,
+                    required: creditError.required,
+                    available: creditError.available
                 });
             }
 
+            const songTitle = title?.trim() || `${sourceSong.title} (Vocals)`;
+
             const sunoParams = {
-                audio_url,
-                vocals_prompt: vocals_prompt.trim(),
-                voice_style,
-                blend_ratio: Math.max(0.1, Math.min(1.0, blend_ratio)),
-                callback_url: callback_url || `${process.env.BACKEND_URL}/api/audio/vocals-callback`
+                upload_url: uploadUrl,
+                prompt: prompt.trim(),
+                title: songTitle,
+                style: style.trim(),
+                negative_tags: negative_tags.trim(),
+                model_version: model_version || sourceSong.modelVersion,
+                callback_url: callback.url
             };
 
             try {
                 const sunoResponse = await sunoApi.addVocals(sunoParams);
 
-                await user.deductCredits(creditCost);
+                const song = await createDerivedSong(sourceSong, {
+                    derivationType: 'vocals',
+                    workspace,
+                    user: userId,
+                    status: 'pending',
+                    modelVersion: sourceSong.modelVersion,
+                    title: songTitle,
+                    description: prompt.trim(),
+                    styleTags: style.split(',').map(tag => tag.trim()).filter(Boolean),
+                    isInstrumental: false,
+                    creditsUsed: creditCost
+                });
+
+                song.sunoTaskId = sunoResponse.taskId;
+                song.sunoTaskIds.push({ type: 'vocals', taskId: sunoResponse.taskId, status: 'processing' });
+                song.status = 'generating';
+                await song.save();
+
+                await attachTask(reservation, { taskId: sunoResponse.taskId, song: song._id });
+
+                await enqueueJob({
+                    taskId: sunoResponse.taskId,
+                    type: 'vocals',
+                    song: song._id,
+                    user: userId,
+                    callbackToken: callback.token
+                });
 
                 res.json({
                     success: true,
                     message: 'Add vocals started successfully',
                     data: {
-                        taskId: sunoResponse.id,
-                        status: sunoResponse.status || 'pending',
+                        songId: song._id,
+                        parentSongId: sourceSong._id,
+                        version: song.version,
+                        taskId: sunoResponse.taskId,
+                        status: 'pending',
                         creditsUsed: creditCost,
                         estimatedTime: '3-5 minutes'
                     }
@@ -352,6 +655,7 @@ class AudioController {
 
             } catch (apiError) {
                 console.error('Add vocals API error:', apiError);
+                await refundReservation(reservation._id, `Suno request failed: ${apiError.message}`);
                 throw apiError;
             }
 
@@ -411,19 +715,19 @@ class AudioController {
     // Audio Processing Callbacks
     async wavCallback(req, res) {
         try {
-            const callbackData = req.body;
-            console.log('WAV conversion callback received:', callbackData);
+            const result = parseAudioCallback(req.body);
+            console.log('WAV conversion callback received:', req.body);
 
-            if (callbackData.status === 'completed') {
-                console.log('WAV conversion completed:', {
-                    taskId: callbackData.id,
-                    wavUrl: callbackData.wav_url
-                });
-            } else if (callbackData.status === 'failed') {
-                console.log('WAV conversion failed:', {
-                    taskId: callbackData.id,
-                    error: callbackData.error_message
-                });
+            const song = result.taskId && await findSongByAudioTask(result.taskId);
+            if (!song) {
+                console.warn(`WAV callback for unknown task: ${result.taskId}`);
+                return res.json({ success: true });
+            }
+
+            if (result.success && result.wavUrl) {
+                await applyWavResult(song, result.taskId, result);
+            } else if (result.success === false) {
+                await failAudioTask(song, result.taskId, result.errorMessage);
             }
 
             res.json({ success: true });
@@ -438,20 +742,19 @@ class AudioController {
 
     async separateCallback(req, res) {
         try {
-            const callbackData = req.body;
-            console.log('Audio separation callback received:', callbackData);
+            const result = parseAudioCallback(req.body);
+            console.log('Audio separation callback received:', req.body);
 
-            if (callbackData.status === 'completed') {
-                console.log('Audio separation completed:', {
-                    taskId: callbackData.id,
-                    vocalUrl: callbackData.vocal_url,
-                    instrumentalUrl: callbackData.instrumental_url
-                });
-            } else if (callbackData.status === 'failed') {
-                console.log('Audio separation failed:', {
-                    taskId: callbackData.id,
-                    error: callbackData.error_message
-                });
+            const song = result.taskId && await findSongByAudioTask(result.taskId);
+            if (!song) {
+                console.warn(`Separation callback for unknown task: ${result.taskId}`);
+                return res.json({ success: true });
+            }
+
+            if (result.success && (result.vocalUrl || result.instrumentalUrl)) {
+                await applySeparationResult(song, result.taskId, result);
+            } else if (result.success === false) {
+                await failAudioTask(song, result.taskId, result.errorMessage);
             }
 
             res.json({ success: true });
@@ -466,19 +769,19 @@ class AudioController {
 
     async boostCallback(req, res) {
         try {
-            const callbackData = req.body;
-            console.log('Music style boost callback received:', callbackData);
+            const result = parseAudioCallback(req.body);
+            console.log('Music style boost callback received:', req.body);
 
-            if (callbackData.status === 'completed') {
-                console.log('Music style boost completed:', {
-                    taskId: callbackData.id,
-                    boostedUrl: callbackData.boosted_url
-                });
-            } else if (callbackData.status === 'failed') {
-                console.log('Music style boost failed:', {
-                    taskId: callbackData.id,
-                    error: callbackData.error_message
-                });
+            const song = result.taskId && await findSongByAudioTask(result.taskId);
+            if (!song) {
+                console.warn(`Boost callback for unknown task: ${result.taskId}`);
+                return res.json({ success: true });
+            }
+
+            if (result.success && result.style) {
+                await applyBoostResult(song, result.taskId, result);
+            } else if (result.success === false) {
+                await failAudioTask(song, result.taskId, result.errorMessage);
             }
 
             res.json({ success: true });
@@ -493,20 +796,10 @@ class AudioController {
 
     async instrumentalCallback(req, res) {
         try {
-            const callbackData = req.body;
-            console.log('Add instrumental callback received:', callbackData);
+            const result = parseAudioCallback(req.body);
+            console.log('Add instrumental callback received:', req.body);
 
-            if (callbackData.status === 'completed') {
-                console.log('Add instrumental completed:', {
-                    taskId: callbackData.id,
-                    audioUrl: callbackData.audio_url
-                });
-            } else if (callbackData.status === 'failed') {
-                console.log('Add instrumental failed:', {
-                    taskId: callbackData.id,
-                    error: callbackData.error_message
-                });
-            }
+            await processDerivedSongCallback(result);
 
             res.json({ success: true });
         } catch (error) {
@@ -520,20 +813,10 @@ class AudioController {
 
     async vocalsCallback(req, res) {
         try {
-            const callbackData = req.body;
-            console.log('Add vocals callback received:', callbackData);
+            const result = parseAudioCallback(req.body);
+            console.log('Add vocals callback received:', req.body);
 
-            if (callbackData.status === 'completed') {
-                console.log('Add vocals completed:', {
-                    taskId: callbackData.id,
-                    audioUrl: callbackData.audio_url
-                });
-            } else if (callbackData.status === 'failed') {
-                console.log('Add vocals failed:', {
-                    taskId: callbackData.id,
-                    error: callbackData.error_message
-                });
-            }
+            await processDerivedSongCallback(result);
 
             res.json({ success: true });
         } catch (error) {
@@ -4,6 +4,7 @@ import crypto from 'crypto';
 import validator from 'validator';
 import User from '../Models/User.js';
 import Workspace from '../Models/Workspace.js';
+import Invitation from '../Models/Invitation.js';
 
 class AuthController {
     // Register User
@@ -69,6 +70,9 @@ class AuthController {
             user.workspaces.push(defaultWorkspace._id);
             await user.save();
 
+            // Pick up workspace invitations sent to this email before it was registered
+            await Invitation.attachToUser(user);
+
             // Generate JWT token
             const token = jwt.sign(
                 { id: user._id },
@@ -0,0 +1,407 @@
+// Controllers/CommentController.js
+import mongoose from 'mongoose';
+import Comment from '../Models/Comment.js';
+import Song from '../Models/Song.js';
+import { resolveSongAccess, getRequestShareToken } from '../Services/Authorization.js';
+import { parseDuration } from '../Utils/Helpers.js';
+
+const SORT_ORDERS = {
+  oldest: { createdAt: 1 },
+  newest: { createdAt: -1 },
+  timestamp: { timestamp: 1, createdAt: 1 }
+};
+
+const notFound = (res, message = 'Song not found') => res.status(404).json({
+  success: false,
+  message
+});
+
+// Load a song and how the requester may take part in its discussion
+const loadSongAccess = async (req, songId) => {
+  if (!mongoose.isValidObjectId(songId)) return {};
+
+  const song = await Song.findById(songId);
+  if (!song) return {};
+
+  const access = await resolveSongAccess(song, {
+    user: req.user,
+    shareToken: getRequestShareToken(req)
+  });
+
+  return { song, access };
+};
+
+// Load a comment together with its song and the requester's access to it
+const loadCommentAccess = async (req, commentId) => {
+  if (!mongoose.isValidObjectId(commentId)) return {};
+
+  const comment = await Comment.findById(commentId);
+  if (!comment) return {};
+
+  const { song, access } = await loadSongAccess(req, comment.song);
+  return { comment, song, access };
+};
+
+// What the viewer sees of a comment; removed comments keep their place in a thread but lose their text
+const serializeComment = (comment, { userId, canModerate }) => {
+  const isAuthor = comment.isAuthor(userId);
+  const isDeleted = comment.status === 'deleted';
+
+  return {
+    id: comment._id,
+    parent: comment.parent,
+    body: isDeleted ? null : comment.body,
+    timestamp: comment.timestamp,
+    formattedTimestamp: comment.formattedTimestamp,
+    status: comment.status,
+    author: isDeleted ? null : comment.author,
+    editedAt: comment.editedAt,
+    createdAt: comment.createdAt,
+    canEdit: isAuthor && !isDeleted,
+    canDelete: (isAuthor || canModerate) && !isDeleted,
+    canModerate: canModerate && !isDeleted
+  };
+};
+
+// Hidden comments are only shown to moderators and their author
+const isVisibleTo = (comment, { userId, canModerate }) => {
+  if (comment.status === 'hidden') return canModerate || comment.isAuthor(userId);
+  return true;
+};
+
+class CommentController {
+  // List a song's comment threads
+  async getComments(req, res) {
+    try {
+      const { songId } = req.params;
+      const sort = SORT_ORDERS[req.query.sort] || SORT_ORDERS.oldest;
+
+      const { song, access } = await loadSongAccess(req, songId);
+      if (!song || !access) {
+        return notFound(res);
+      }
+
+      if (!access.canComment) {
+        return res.status(403).json({
+          success: false,
+          message: 'Comments are disabled for this share link'
+        });
+      }
+
+      const viewer = { userId: req.user?.id, canModerate: access.canModerate };
+
+      const comments = await Comment.find({ song: song._id })
+        .populate('author', 'username avatar')
+        .sort(sort);
+
+      const repliesByParent = new Map();
+      comments
+        .filter(comment => comment.parent && comment.status !== 'deleted' && isVisibleTo(comment, viewer))
+        .sort((a, b) => a.createdAt - b.createdAt)
+        .forEach(reply => {
+          const key = reply.parent.toString();
+          if (!repliesByParent.has(key)) repliesByParent.set(key, []);
+          repliesByParent.get(key).push(serializeComment(reply, viewer));
+        });
+
+      const threads = comments
+        .filter(comment => !comment.parent && isVisibleTo(comment, viewer))
+        .map(comment => ({
+          ...serializeComment(comment, viewer),
+          replies: repliesByParent.get(comment._id.toString()) || []
+        }))
+        // A deleted comment only stays as a placeholder while it still has replies
+        .filter(thread => thread.status !== 'deleted' || thread.replies.length > 0);
+
+      res.json({
+        success: true,
+        data: {
+          comments: threads,
+          total: threads.reduce((sum, thread) => sum + 1 + thread.replies.length, 0),
+          permissions: {
+            canComment: !!req.user,
+            canModerate: access.canModerate
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('Get comments error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get comments',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // Comment on a song, optionally at a position in the track or as a reply
+  async createComment(req, res) {
+    try {
+      const { songId } = req.params;
+      const { body, timestamp, parentId } = req.body;
+
+      const { song, access } = await loadSongAccess(req, songId);
+      if (!song || !access) {
+        return notFound(res);
+      }
+
+      if (!access.canComment) {
+        return res.status(403).json({
+          success: false,
+          message: 'Comments are disabled for this share link'
+        });
+      }
+
+      if (!body || !String(body).trim()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Comment cannot be empty'
+        });
+      }
+
+      let position = null;
+      if (timestamp !== undefined && timestamp !== null && timestamp !== '') {
+        position = parseDuration(timestamp);
+
+        if (isNaN(position) || position < 0 || (song.duration > 0 && position > song.duration)) {
+          return res.status(400).json({
+            success: false,
+            message: 'Timestamp must be a position within the song, in seconds or as M:SS'
+          });
+        }
+      }
+
+      let parent = null;
+      if (parentId) {
+        const parentComment = mongoose.isValidObjectId(parentId)
+          ? await Comment.findOne({ _id: parentId, song: song._id })
+          : null;
+
+        if (!parentComment || parentComment.status === 'deleted') {
+          return notFound(res, 'Comment to reply to not found');
+        }
+
+        // Threads are one level deep - replying to a reply joins its thread
+        parent = parentComment.parent || parentComment._id;
+      }
+
+      const comment = await Comment.create({
+        song: song._id,
+        workspace: song.workspace,
+        author: req.user.id,
+        parent,
+        body: String(body).trim(),
+        timestamp: position,
+        accessType: access.type
+      });
+
+      await comment.populate('author', 'username avatar');
+
+      res.status(201).json({
+        success: true,
+        message: 'Comment added',
+        data: serializeComment(comment, { userId: req.user.id, canModerate: access.canModerate })
+      });
+
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation Error',
+          errors: Object.values(error.errors).map(err => err.message)
+        });
+      }
+
+      console.error('Create comment error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to add comment',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // Edit a comment (author only)
+  async updateComment(req, res) {
+    try {
+      const { body } = req.body;
+
+      const { comment, access } = await loadCommentAccess(req, req.params.commentId);
+      if (!comment || !access || comment.status === 'deleted') {
+        return notFound(res, 'Comment not found');
+      }
+
+      if (!comment.isAuthor(req.user.id)) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only edit your own comments'
+        });
+      }
+
+      if (!body || !String(body).trim()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Comment cannot be empty'
+        });
+      }
+
+      comment.body = String(body).trim();
+      comment.editedAt = new Date();
+      await comment.save();
+      await comment.populate('author', 'username avatar');
+
+      res.json({
+        success: true,
+        message: 'Comment updated',
+        data: serializeComment(comment, { userId: req.user.id, canModerate: access.canModerate })
+      });
+
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation Error',
+          errors: Object.values(error.errors).map(err => err.message)
+        });
+      }
+
+      console.error('Update comment error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update comment',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // Delete a comment (author or moderator)
+  async deleteComment(req, res) {
+    try {
+      const { comment, access } = await loadCommentAccess(req, req.params.commentId);
+      if (!comment || !access || comment.status === 'deleted') {
+        return notFound(res, 'Comment not found');
+      }
+
+      const isAuthor = comment.isAuthor(req.user.id);
+      if (!isAuthor && !access.canModerate) {
+        return res.status(403).json({
+          success: false,
+          message: 'You do not have permission to delete this comment'
+        });
+      }
+
+      const hasReplies = !comment.parent && await Comment.exists({ parent: comment._id, status: { $ne: 'deleted' } });
+
+      if (hasReplies) {
+        // Keep the thread together - the comment becomes a placeholder
+        comment.status = 'deleted';
+        comment.body = '[deleted]';
+        if (!isAuthor) {
+          comment.moderatedBy = req.user.id;
+          comment.moderatedAt = new Date();
+        }
+        await comment.save();
+      } else {
+        await Comment.deleteMany({ $or: [{ _id: comment._id }, { parent: comment._id }] });
+      }
+
+      res.json({
+        success: true,
+        message: 'Comment deleted'
+      });
+
+    } catch (error) {
+      console.error('Delete comment error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to delete comment',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // Hide a comment from everyone but moderators and its author
+  async hideComment(req, res) {
+    try {
+      const { reason } = req.body;
+
+      const { comment, access } = await loadCommentAccess(req, req.params.commentId);
+      if (!comment || !access || comment.status === 'deleted') {
+        return notFound(res, 'Comment not found');
+      }
+
+      if (!access.canModerate) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only the workspace owner or admins can moderate comments'
+        });
+      }
+
+      comment.status = 'hidden';
+      comment.moderatedBy = req.user.id;
+      comment.moderatedAt = new Date();
+      comment.moderationReason = reason ? String(reason).trim() : undefined;
+      await comment.save();
+
+      res.json({
+        success: true,
+        message: 'Comment hidden',
+        data: {
+          commentId: comment._id,
+          status: comment.status
+        }
+      });
+
+    } catch (error) {
+      console.error('Hide comment error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to hide comment',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // Make a hidden comment visible again
+  async unhideComment(req, res) {
+    try {
+      const { comment, access } = await loadCommentAccess(req, req.params.commentId);
+      if (!comment || !access || comment.status === 'deleted') {
+        return notFound(res, 'Comment not found');
+      }
+
+      if (!access.canModerate) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only the workspace owner or admins can moderate comments'
+        });
+      }
+
+      comment.status = 'visible';
+      comment.moderatedBy = req.user.id;
+      comment.moderatedAt = new Date();
+      comment.moderationReason = undefined;
+      await comment.save();
+
+      res.json({
+        success: true,
+        message: 'Comment restored',
+        data: {
+          commentId: comment._id,
+          status: comment.status
+        }
+      });
+
+    } catch (error) {
+      console.error('Unhide comment error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to restore comment',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+}
+
+export default new CommentController();
@@ -0,0 +1,190 @@
+// Controllers/InvitationController.js
+import Invitation from '../Models/Invitation.js';
+import Workspace from '../Models/Workspace.js';
+
+const INVITATION_POPULATE = [
+  { path: 'workspace', select: 'name description color icon user isTrashed' },
+  { path: 'invitedBy', select: 'username avatar' }
+];
+
+const serializeInvitation = (invitation) => ({
+  id: invitation._id,
+  workspace: invitation.workspace,
+  invitedBy: invitation.invitedBy,
+  email: invitation.email,
+  role: invitation.role,
+  status: invitation.status,
+  expiresAt: invitation.expiresAt,
+  respondedAt: invitation.respondedAt,
+  createdAt: invitation.createdAt
+});
+
+// Load an invite by token and check it is still open to the signed-in user
+const findOpenInvitation = async (token, user) => {
+  const invitation = await Invitation.findOne({ token }).populate(INVITATION_POPULATE);
+
+  if (!invitation || !invitation.isFor(user)) {
+    const error = new Error('Invitation not found');
+    error.status = 404;
+    throw error;
+  }
+
+  if (invitation.status === 'pending' && invitation.isExpired) {
+    invitation.status = 'expired';
+    await invitation.save();
+  }
+
+  if (invitation.status !== 'pending') {
+    const error = new Error(`This invitation has already been ${invitation.status}`);
+    error.status = 410;
+    throw error;
+  }
+
+  if (!invitation.workspace || invitation.workspace.isTrashed) {
+    const error = new Error('The workspace for this invitation no longer exists');
+    error.status = 410;
+    throw error;
+  }
+
+  return invitation;
+};
+
+class InvitationController {
+  // List my pending invitations
+  async getMyInvitations(req, res) {
+    try {
+      const filter = {
+        $or: [{ invitee: req.user._id }, { email: req.user.email }]
+      };
+
+      await Invitation.expireStale(filter);
+
+      const invitations = await Invitation.find({ ...filter, status: 'pending' })
+        .populate(INVITATION_POPULATE)
+        .sort({ createdAt: -1 });
+
+      // Skip invites whose workspace was deleted or trashed since
+      const open = invitations.filter(invitation => invitation.workspace && !invitation.workspace.isTrashed);
+
+      res.json({
+        success: true,
+        data: {
+          invitations: open.map(invitation => ({
+            ...serializeInvitation(invitation),
+            token: invitation.token
+          })),
+          total: open.length
+        }
+      });
+
+    } catch (error) {
+      console.error('Get invitations error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get invitations',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // View a single invitation
+  async getInvitation(req, res) {
+    try {
+      const invitation = await findOpenInvitation(req.params.token, req.user);
+
+      res.json({
+        success: true,
+        data: serializeInvitation(invitation)
+      });
+
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      console.error('Get invitation error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get invitation',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // Accept an invitation and join the workspace
+  async acceptInvitation(req, res) {
+    try {
+      const userId = req.user._id;
+      const invitation = await findOpenInvitation(req.params.token, req.user);
+
+      const workspace = await Workspace.findById(invitation.workspace._id);
+      const isMember = workspace.user.toString() === userId.toString() ||
+        workspace.collaborators.some(c => c.user.toString() === userId.toString());
+
+      if (!isMember) {
+        await workspace.addCollaborator(userId, invitation.role, invitation.invitedBy?._id, invitation.createdAt);
+      }
+
+      await invitation.respond('accepted', userId);
+
+      res.json({
+        success: true,
+        message: `You joined ${workspace.name} as ${invitation.role}`,
+        data: {
+          invitation: serializeInvitation(invitation),
+          workspaceId: workspace._id
+        }
+      });
+
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      console.error('Accept invitation error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to accept invitation',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // Decline an invitation
+  async declineInvitation(req, res) {
+    try {
+      const invitation = await findOpenInvitation(req.params.token, req.user);
+
+      await invitation.respond('declined', req.user._id);
+
+      res.json({
+        success: true,
+        message: 'Invitation declined',
+        data: serializeInvitation(invitation)
+      });
+
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      console.error('Decline invitation error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to decline invitation',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+}
+
+export default new InvitationController();
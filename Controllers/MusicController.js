@@ -2,48 +2,82 @@
 import Song from '../Models/Song.js';
 import User from '../Models/User.js';
 import Workspace from '../Models/Workspace.js';
-import SunoApiClient from '../Config/SunoApi.js';
-
-
-// ✅ Create instance after environment variables are loaded
-const sunoApi = new SunoApiClient();
-
+import { sunoApi } from '../Config/SunoApi.js';
+import { enqueueJob, pollTaskNow, resolveJobByTask } from '../Services/JobQueue.js';
+import {
+  reserveCredits,
+  attachTask,
+  refundReservation,
+  transferSongCharge
+} from '../Services/CreditLedger.js';
+import {
+  parseGenerationCallback,
+  applyGenerationCallback,
+  findSongByTaskId,
+  failSong
+} from '../Services/GenerationService.js';
+import { getAccessibleSong, getAuthorizedWorkspace } from '../Services/Authorization.js';
+import { createDerivedSong, unlinkSongs } from '../Services/SongLineage.js';
+import {
+  buildGenerationParams,
+  getGenerationCost,
+  getSongGenerationParams,
+  getSongText,
+  toSunoParams
+} from '../Services/GenerationParams.js';
+import { withCallbackToken } from '../Utils/WebhookSignature.js';
+import { CREDIT_COSTS, MAX_SONG_RETRIES } from '../Utils/Constants.js';
+
+
+// Send an authorization failure (404/403) as a normal response
+const sendAccessError = (res, error) => res.status(error.status).json({
+  success: false,
+  message: error.message
+});
+
+// Give back a regenerate retry claimed on a song whose regeneration never started
+const releaseRetry = (songId) => Song.updateOne(
+  { _id: songId, retryCount: { $gt: 0 } },
+  { $inc: { retryCount: -1 } }
+);
+
+// Fail a derived song Suno never accepted and take it back out of its source song's lineage
+const failUnsubmittedSong = async (song, errorMessage) => {
+  song.status = 'failed';
+  song.errorMessage = errorMessage;
+  song.parentSong = undefined;
+  await song.save();
+
+  await unlinkSongs([song._id]);
+};
 
 
 class MusicController {
   // ✅ Generate Music - Fixed with real Suno API integration
   async generateMusic(req, res) {
+    let reservation = null;
+
     try {
-      const {
-        prompt,
-        model_version = 'v4',
-        make_instrumental = false,
-        wait_audio = false,
-        tags = '',
-        title = '',
-        callback_url,
-        workspace_id
-      } = req.body;
+      const { workspace_id } = req.body;
 
       const userId = req.user.id;
 
-      // Validation
-      if (!prompt || prompt.trim().length === 0) {
-        return res.status(400).json({
+      // Validation - description mode (prompt only) or custom mode (lyrics + style + title)
+      let params;
+      try {
+        params = buildGenerationParams(req.body, { model: 'v4' });
+      } catch (paramsError) {
+        if (!paramsError.status) throw paramsError;
+        return res.status(paramsError.status).json({
           success: false,
-          message: 'Prompt is required for music generation'
+          message: paramsError.message,
+          errors: paramsError.errors
         });
       }
 
       // Credit cost based on model version
-      const creditCosts = {
-        'v3_5': 10,
-        'v4': 10,
-        'v4_5': 15
-      };
-      const creditCost = creditCosts[model_version] || 10;
+      const creditCost = getGenerationCost(params);
 
-      // Check user credits
       const user = await User.findById(userId);
       if (!user) {
         return res.status(404).json({
@@ -52,28 +86,14 @@ class MusicController {
         });
       }
 
-      if (user.credits < creditCost) {
-        return res.status(400).json({
-          success: false,
-          message: `Insufficient credits. You need at least ${creditCost} credits.`,
-          required: creditCost,
-          available: user.credits
-        });
-      }
-
-      // Find or create workspace
+      // Find or create workspace - collaborators need permission to create songs in it
       let workspace;
       if (workspace_id) {
-        workspace = await Workspace.findOne({
-          _id: workspace_id,
-          user: userId,
-          isTrashed: false
-        });
-        if (!workspace) {
-          return res.status(404).json({
-            success: false,
-            message: 'Workspace not found'
-          });
+        try {
+          workspace = await getAuthorizedWorkspace(workspace_id, userId, 'canCreateSongs');
+        } catch (accessError) {
+          if (!accessError.status) throw accessError;
+          return sendAccessError(res, accessError);
         }
       } else {
         workspace = await Workspace.findOne({
@@ -96,17 +116,35 @@ class MusicController {
         }
       }
 
+      // Reserve credits before anything is created so concurrent requests cannot overspend
+      try {
+        reservation = await reserveCredits({
+          user: userId,
+          amount: creditCost,
+          feature: 'generate',
+          description: `Music generation: ${params.title || 'Untitled Song'}`
+        });
+      } catch (creditError) {
+        return res.status(creditError.status || 500).json({
+          success: false,
+          message: creditError.message,
+          required: creditError.required,
+          available: creditError.available
+        });
+      }
+
       // ✅ Create song record with correct URL format
       const song = new Song({
-        title: title || 'Untitled Song',
-        description: prompt,
-        styleTags: tags ? tags.split(',').map(tag => tag.trim()).filter(Boolean) : [],
-        isInstrumental: make_instrumental,
-        modelVersion: model_version,
+        title: params.title || 'Untitled Song',
+        ...getSongText(params),
+        styleTags: params.style ? params.style.split(',').map(tag => tag.trim()).filter(Boolean) : [],
+        isInstrumental: params.instrumental,
+        modelVersion: params.model,
         status: 'pending',
         creditsUsed: creditCost,
         user: userId,
-        workspace: workspace._id
+        workspace: workspace._id,
+        generationParams: params
       });
 
       await song.save();
@@ -118,15 +156,11 @@ class MusicController {
       await workspace.save();
 
       try {
+        // Signed callback URL so the webhook can prove which task it belongs to
+        const callback = withCallbackToken(process.env.CALLBACK_URL);
+
         // ✅ Real Suno API call with callback URL
-        const sunoParams = {
-          prompt: prompt.trim(),
-          model_version,
-          make_instrumental,
-          tags: tags.trim(),
-          title: title.trim() || 'Untitled Song',
-          callback_url: callback_url || `${process.env.CALLBACK_URL}`
-        };
+        const sunoParams = toSunoParams(params, callback.url);
 
         console.log('🎵 Calling Suno API with params:', sunoParams);
 
@@ -136,15 +170,20 @@ class MusicController {
 
         // Update song with Suno task info
         song.sunoTaskId = sunoResponse.taskId;
+        song.sunoTaskIds.push({ type: 'generate', taskId: sunoResponse.taskId, status: 'processing' });
         song.status = 'generating';
-        // ✅ Set proper audio URL that will be updated by webhook
-        song.audioUrl = `${process.env.BACKEND_URL}/generated-music/${song._id}.mp3`;
         await song.save();
 
-        // Deduct credits
-        user.credits -= creditCost;
-        user.totalCreditsUsed += creditCost;
-        await user.save();
+        await attachTask(reservation, { taskId: sunoResponse.taskId, song: song._id });
+
+        // Track the task so the poller finalises it if the webhook never arrives
+        await enqueueJob({
+          taskId: sunoResponse.taskId,
+          type: 'generate',
+          song: song._id,
+          user: userId,
+          callbackToken: callback.token
+        });
 
         res.status(201).json({
           success: true,
@@ -153,6 +192,7 @@ class MusicController {
             songId: song._id,
             sunoTaskId: song.sunoTaskId,
             status: 'generating',
+            mode: params.customMode ? 'custom' : 'description',
             creditsUsed: creditCost,
             workspace: workspace.name,
             estimatedTime: '2-3 minutes',
@@ -168,7 +208,9 @@ class MusicController {
         song.errorMessage = apiError.message;
         await song.save();
 
-        // Don't deduct credits on API failure
+        // Return the reserved credits on API failure
+        await refundReservation(reservation._id, `Suno request failed: ${apiError.message}`);
+
         res.status(500).json({
           success: false,
           message: `Music generation failed: ${apiError.message}`,
@@ -178,6 +220,11 @@ class MusicController {
 
     } catch (error) {
       console.error('Generate music error:', error);
+
+      if (reservation) {
+        await refundReservation(reservation._id, 'Generation request failed').catch(() => null);
+      }
+
       res.status(500).json({
         success: false,
         message: error.message || 'Failed to start music generation'
@@ -186,152 +233,212 @@ class MusicController {
   }
 
 
-  // Add this method to your MusicController class
-  async checkSongStatus(req, res) {
+  // Regenerate a song from its stored parameters, with optional overrides, as its next version.
+  // Retrying a failed song whose charge was never refunded reuses that charge, topped up or partly returned
+  // to match the new cost; anything else costs a new generation.
+  async regenerateSong(req, res) {
+    let reservations = [];
+    let retryClaimed = false;
+
     try {
-      const { songId } = req.params;
+      const { song: sourceSong } = req;
+      const { workspace_id } = req.body;
       const userId = req.user.id;
 
-      const song = await Song.findOne({ _id: songId, user: userId });
-      if (!song) {
-        return res.status(404).json({
+      if (['pending', 'generating', 'processing'].includes(sourceSong.status)) {
+        return res.status(409).json({
           success: false,
-          message: 'Song not found'
+          message: 'Song is still generating'
         });
       }
 
-      // If still generating and has task ID, check with Suno API
-      if (song.status === 'generating' && song.sunoTaskId) {
-        try {
-          console.log(`🔍 Checking status for task: ${song.sunoTaskId}`);
+      if (!['original', 'regenerate'].includes(sourceSong.derivationType)) {
+        return res.status(400).json({
+          success: false,
+          message: `Only generated songs can be regenerated - run the ${sourceSong.derivationType} again instead`
+        });
+      }
 
-          const statusCheck = await sunoApi.getGenerationDetails(song.sunoTaskId);
-          console.log('📊 Status check result:', statusCheck);
-
-          if (statusCheck.success) {
-            if (statusCheck.status === 'COMPLETED' && statusCheck.songs?.length > 0) {
-              // Process completion manually
-              const songData = statusCheck.songs[0];
-
-              song.status = 'completed';
-              song.completedAt = new Date();
-
-              if (songData.audio_url) {
-                try {
-                  // Download audio file
-                  const audioDir = path.join(__dirname, '..', 'public', 'generated-music');
-                  if (!fs.existsSync(audioDir)) {
-                    fs.mkdirSync(audioDir, { recursive: true });
-                  }
-
-                  const response = await axios({
-                    method: 'GET',
-                    url: songData.audio_url,
-                    responseType: 'stream'
-                  });
-
-                  const audioPath = path.join(audioDir, `${song._id}.mp3`);
-                  const writer = fs.createWriteStream(audioPath);
-                  response.data.pipe(writer);
-
-                  await new Promise((resolve, reject) => {
-                    writer.on('finish', resolve);
-                    writer.on('error', reject);
-                  });
-
-                  song.audioUrl = `${process.env.BACKEND_URL}/generated-music/${song._id}.mp3`;
-                  console.log(`✅ Manual download complete: ${song.audioUrl}`);
-                } catch (downloadError) {
-                  console.error('❌ Manual download failed:', downloadError);
-                  song.audioUrl = songData.audio_url; // Fallback to original URL
-                }
-              }
+      let params;
+      try {
+        params = buildGenerationParams(req.body, getSongGenerationParams(sourceSong));
+      } catch (paramsError) {
+        if (!paramsError.status) throw paramsError;
+        return res.status(paramsError.status).json({
+          success: false,
+          message: paramsError.message,
+          errors: paramsError.errors
+        });
+      }
 
-              if (songData.image_url) song.imageUrl = songData.image_url;
-              if (songData.title) song.title = songData.title;
-              if (songData.duration) song.duration = songData.duration;
+      let workspace;
+      try {
+        workspace = await getAuthorizedWorkspace(workspace_id || sourceSong.workspace, userId, 'canCreateSongs');
+      } catch (accessError) {
+        if (!accessError.status) throw accessError;
+        return sendAccessError(res, accessError);
+      }
 
-              await song.save();
+      // Claim the retry on the source itself, so regenerating the same song again and again stops at the limit
+      const claimed = await Song.findOneAndUpdate(
+        { _id: sourceSong._id, retryCount: { $lt: MAX_SONG_RETRIES } },
+        { $inc: { retryCount: 1 } },
+        { new: true }
+      );
 
-            } else if (statusCheck.status === 'FAILED') {
-              song.status = 'failed';
-              song.errorMessage = statusCheck.errorMessage || 'Generation failed';
-              await song.save();
-            }
-          }
-        } catch (statusError) {
-          console.error('❌ Status check error:', statusError);
+      if (!claimed) {
+        return res.status(400).json({
+          success: false,
+          message: `This song has already been regenerated the maximum of ${MAX_SONG_RETRIES} times`
+        });
+      }
+      retryClaimed = true;
+
+      const creditCost = getGenerationCost(params);
+      const description = `Regenerate: ${sourceSong.title}`;
+      let creditsCharged = creditCost;
+      let creditsReturned = 0;
+
+      try {
+        const transfer = sourceSong.status === 'failed'
+          ? await transferSongCharge({ song: sourceSong._id, user: userId, amount: creditCost, description })
+          : null;
+
+        if (transfer) {
+          ({ reservations, charged: creditsCharged, returned: creditsReturned } = transfer);
+        } else {
+          reservations = [await reserveCredits({
+            user: userId,
+            amount: creditCost,
+            feature: 'generate',
+            description
+          })];
         }
+      } catch (creditError) {
+        await releaseRetry(sourceSong._id);
+        retryClaimed = false;
+        return res.status(creditError.status || 500).json({
+          success: false,
+          message: creditError.message,
+          required: creditError.required,
+          available: creditError.available
+        });
       }
 
-      res.json({
-        success: true,
-        data: song
+      const song = await createDerivedSong(sourceSong, {
+        derivationType: 'regenerate',
+        workspace,
+        title: params.title || sourceSong.title,
+        ...getSongText(params),
+        styleTags: params.style ? params.style.split(',').map(tag => tag.trim()).filter(Boolean) : [],
+        isInstrumental: params.instrumental,
+        modelVersion: params.model,
+        status: 'pending',
+        creditsUsed: creditCost,
+        user: userId,
+        generationParams: params,
+        retryCount: claimed.retryCount
       });
 
-    } catch (error) {
-      console.error('Check song status error:', error);
-      res.status(500).json({
-        success: false,
-        message: error.message || 'Failed to check song status'
-      });
-    }
-  }
+      try {
+        const callback = withCallbackToken(process.env.CALLBACK_URL);
 
+        const sunoResponse = await sunoApi.generateMusic(toSunoParams(params, callback.url));
 
+        song.sunoTaskId = sunoResponse.taskId;
+        song.sunoTaskIds.push({ type: 'generate', taskId: sunoResponse.taskId, status: 'processing' });
+        song.status = 'generating';
+        await song.save();
 
+        for (const reservation of reservations) {
+          await attachTask(reservation, { taskId: sunoResponse.taskId, song: song._id });
+        }
 
-  // ✅ Get Music Details - Enhanced with real-time status checking
-  async getMusicDetails(req, res) {
-    try {
-      const { songId } = req.params;
-      const userId = req.user.id;
+        await enqueueJob({
+          taskId: sunoResponse.taskId,
+          type: 'generate',
+          song: song._id,
+          user: userId,
+          callbackToken: callback.token
+        });
 
-      if (!songId) {
-        return res.status(400).json({
-          success: false,
-          message: 'Song ID is required'
+        res.status(201).json({
+          success: true,
+          message: 'Regeneration started successfully',
+          data: {
+            songId: song._id,
+            parentSongId: sourceSong._id,
+            version: song.version,
+            retryCount: song.retryCount,
+            retriesLeft: MAX_SONG_RETRIES - song.retryCount,
+            sunoTaskId: song.sunoTaskId,
+            status: 'generating',
+            creditsUsed: creditsCharged,
+            creditsReused: creditCost - creditsCharged,
+            creditsReturned,
+            generationParams: params
+          }
         });
-      }
 
-      const song = await Song.findOne({ _id: songId, user: userId })
-        .populate('workspace', 'name description color')
-        .populate('user', 'username email');
+      } catch (apiError) {
+        console.error('❌ Suno API Error:', apiError);
 
-      if (!song) {
-        return res.status(404).json({
+        await failUnsubmittedSong(song, apiError.message);
+
+        for (const reservation of reservations) {
+          await refundReservation(reservation._id, `Suno request failed: ${apiError.message}`);
+        }
+        await releaseRetry(sourceSong._id);
+        retryClaimed = false;
+
+        res.status(500).json({
           success: false,
-          message: 'Song not found'
+          message: `Regeneration failed: ${apiError.message}`,
+          error: apiError.message
         });
       }
 
-      // ✅ If song is still generating, check real status from Suno API
+    } catch (error) {
+      console.error('Regenerate song error:', error);
+
+      for (const reservation of reservations) {
+        await refundReservation(reservation._id, 'Regeneration request failed').catch(() => null);
+      }
+      if (retryClaimed) {
+        await releaseRetry(req.song._id).catch(() => null);
+      }
+
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to regenerate song'
+      });
+    }
+  }
+
+  // Add this method to your MusicController class
+  async checkSongStatus(req, res) {
+    try {
+      const { songId } = req.params;
+
+      let song;
+      try {
+        ({ song } = await getAccessibleSong(songId, { user: req.user, action: 'view' }));
+      } catch (accessError) {
+        if (!accessError.status) throw accessError;
+        return sendAccessError(res, accessError);
+      }
+
+      // If still generating, poll Suno now instead of waiting for the next scheduled poll
       if (song.status === 'generating' && song.sunoTaskId) {
         try {
-          const statusCheck = await sunoApi.getGenerationDetails(song.sunoTaskId);
-
-          if (statusCheck.success && statusCheck.status === 'COMPLETED') {
-            // Update song with completion data
-            song.status = 'completed';
-            song.completedAt = new Date();
-
-            if (statusCheck.songs && statusCheck.songs.length > 0) {
-              const songData = statusCheck.songs[0];
-              if (songData.audio_url) {
-                // Keep the local URL format but mark as completed
-                song.audioUrl = `${process.env.BACKEND_URL}/generated-music/${song._id}.mp3`;
-              }
-            }
+          console.log(`🔍 Checking status for task: ${song.sunoTaskId}`);
 
-            await song.save();
-          } else if (statusCheck.status === 'FAILED') {
-            song.status = 'failed';
-            song.errorMessage = statusCheck.errorMessage || 'Generation failed';
-            await song.save();
+          const job = await pollTaskNow(song.sunoTaskId);
+          if (job) {
+            song = await Song.findById(song._id);
           }
         } catch (statusError) {
-          console.error('Status check error:', statusError);
-          // Don't fail the request if status check fails
+          console.error('❌ Status check error:', statusError);
         }
       }
 
@@ -341,113 +448,160 @@ class MusicController {
       });
 
     } catch (error) {
-      console.error('Get music details error:', error);
+      console.error('Check song status error:', error);
       res.status(500).json({
         success: false,
-        message: error.message || 'Failed to get music details'
+        message: error.message || 'Failed to check song status'
       });
     }
   }
 
   // Extend Music
   async extendMusic(req, res) {
+    let reservation = null;
+
     try {
       const {
-        audio_url,
+        song_id,
         prompt,
-        model_version = 'v4',
-        continue_at = 'auto',
+        model_version,
+        continue_at,
         tags = '',
         title = '',
-        callback_url,
         workspace_id
       } = req.body;
 
       const userId = req.user.id;
-      const creditCost = 10;
+      const creditCost = CREDIT_COSTS.EXTEND_MUSIC;
 
       // Validation
-      if (!audio_url || !prompt) {
+      if (!song_id || !prompt) {
         return res.status(400).json({
           success: false,
-          message: 'Audio URL and prompt are required'
+          message: 'Source song ID and prompt are required'
         });
       }
 
-      // Check user credits
-      const user = await User.findById(userId);
-      if (user.credits < creditCost) {
+      let sourceSong;
+      try {
+        ({ song: sourceSong } = await getAccessibleSong(song_id, { user: req.user, action: 'view' }));
+      } catch (accessError) {
+        if (!accessError.status) throw accessError;
+        return sendAccessError(res, accessError);
+      }
+
+      if (!sourceSong.sunoAudioId) {
         return res.status(400).json({
           success: false,
-          message: `Insufficient credits. You need at least ${creditCost} credits.`
+          message: 'Only completed Suno songs can be extended'
         });
       }
 
-      // Find workspace
-      let workspace = await Workspace.findOne({
-        user: userId,
-        isDefault: true,
-        isTrashed: false
-      });
+      let workspace;
+      try {
+        workspace = await getAuthorizedWorkspace(workspace_id || sourceSong.workspace, userId, 'canCreateSongs');
+      } catch (accessError) {
+        if (!accessError.status) throw accessError;
+        return sendAccessError(res, accessError);
+      }
 
-      if (workspace_id) {
-        workspace = await Workspace.findOne({
-          _id: workspace_id,
+      const modelVersion = model_version || sourceSong.modelVersion;
+      const continueAt = Number(continue_at) > 0 ? Number(continue_at) : sourceSong.duration;
+
+      try {
+        reservation = await reserveCredits({
           user: userId,
-          isTrashed: false
+          amount: creditCost,
+          feature: 'extend',
+          description: `Music extension: ${sourceSong.title}`
         });
-      }
-
-      if (!workspace) {
-        return res.status(404).json({
+      } catch (creditError) {
+        return res.status(creditError.status || 500).json({
           success: false,
-          message: 'Workspace not found'
+          message: creditError.message,
+          required: creditError.required,
+          available: creditError.available
         });
       }
 
-      // Create song record for extension
-      const song = new Song({
-        title: title || 'Extended Song',
+      // Create the extension as the next version of the source song
+      const song = await createDerivedSong(sourceSong, {
+        derivationType: 'extend',
+        workspace,
+        title: title || `${sourceSong.title} (Extended)`,
         description: prompt,
-        styleTags: tags ? tags.split(',').map(tag => tag.trim()).filter(Boolean) : [],
+        styleTags: tags ? tags.split(',').map(tag => tag.trim()).filter(Boolean) : sourceSong.styleTags,
+        isInstrumental: sourceSong.isInstrumental,
         status: 'pending',
-        modelVersion: model_version,
+        modelVersion,
         creditsUsed: creditCost,
-        user: userId,
-        workspace: workspace._id,
-        originalAudioUrl: audio_url
+        user: userId
       });
 
-      await song.save();
+      try {
+        const callback = withCallbackToken(process.env.CALLBACK_URL);
 
-      // Add to workspace
-      workspace.songs.push(song._id);
-      await workspace.save();
+        const sunoResponse = await sunoApi.extendMusic({
+          audioId: sourceSong.sunoAudioId,
+          prompt: prompt.trim(),
+          style: tags.trim() || sourceSong.styleTags.join(', '),
+          title: song.title,
+          continueAt,
+          model_version: modelVersion,
+          callBackUrl: callback.url
+        });
 
-      // Simulate extension process
-      song.status = 'generating';
-      song.sunoTaskId = `extend_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-      await song.save();
+        song.sunoTaskId = sunoResponse.taskId;
+        song.sunoTaskIds.push({ type: 'extend', taskId: sunoResponse.taskId, status: 'processing' });
+        song.status = 'generating';
+        await song.save();
 
-      // Deduct credits
-      user.credits -= creditCost;
-      user.totalCreditsUsed += creditCost;
-      await user.save();
+        await attachTask(reservation, { taskId: sunoResponse.taskId, song: song._id });
 
-      res.status(201).json({
-        success: true,
-        message: 'Music extension started successfully',
-        data: {
-          songId: song._id,
-          sunoTaskId: song.sunoTaskId,
-          status: 'generating',
-          creditsUsed: creditCost,
-          originalAudioUrl: audio_url
-        }
-      });
+        await enqueueJob({
+          taskId: sunoResponse.taskId,
+          type: 'extend',
+          song: song._id,
+          user: userId,
+          callbackToken: callback.token
+        });
+
+        res.status(201).json({
+          success: true,
+          message: 'Music extension started successfully',
+          data: {
+            songId: song._id,
+            parentSongId: sourceSong._id,
+            version: song.version,
+            sunoTaskId: song.sunoTaskId,
+            status: 'generating',
+            creditsUsed: creditCost,
+            continueAt
+          }
+        });
+
+      } catch (apiError) {
+        console.error('❌ Suno extend error:', apiError);
+
+        await failUnsubmittedSong(song, apiError.message);
+
+        // Return the reserved credits on API failure
+        await refundReservation(reservation._id, `Suno request failed: ${apiError.message}`);
+
+        res.status(500).json({
+          success: false,
+          message: `Music extension failed: ${apiError.message}`,
+          error: apiError.message
+        });
+      }
 
     } catch (error) {
       console.error('Extend music error:', error);
+
+      if (reservation) {
+        await refundReservation(reservation._id, 'Extension request failed').catch(() => null);
+      }
+
       res.status(500).json({
         success: false,
         message: error.message || 'Failed to start music extension'
@@ -457,75 +611,141 @@ class MusicController {
 
   // Cover Audio
   async coverAudio(req, res) {
+    let reservation = null;
+
     try {
       const {
-        audio_url,
+        song_id,
         prompt,
-        model_version = 'v4',
-        callback_url
+        model_version,
+        title = '',
+        workspace_id
       } = req.body;
 
       const userId = req.user.id;
-      const creditCost = 15;
+      const creditCost = CREDIT_COSTS.COVER_AUDIO;
 
-      if (!audio_url || !prompt) {
+      if (!song_id || !prompt) {
         return res.status(400).json({
           success: false,
-          message: 'Audio URL and prompt are required'
+          message: 'Source song ID and prompt are required'
         });
       }
 
-      const user = await User.findById(userId);
-      if (user.credits < creditCost) {
+      let sourceSong;
+      try {
+        ({ song: sourceSong } = await getAccessibleSong(song_id, { user: req.user, action: 'view' }));
+      } catch (accessError) {
+        if (!accessError.status) throw accessError;
+        return sendAccessError(res, accessError);
+      }
+
+      if (!sourceSong.sunoAudioId) {
         return res.status(400).json({
           success: false,
-          message: `Insufficient credits. You need at least ${creditCost} credits.`
+          message: 'Only completed Suno songs can be covered'
         });
       }
 
-      let workspace = await Workspace.findOne({
-        user: userId,
-        isDefault: true,
-        isTrashed: false
-      });
+      let workspace;
+      try {
+        workspace = await getAuthorizedWorkspace(workspace_id || sourceSong.workspace, userId, 'canCreateSongs');
+      } catch (accessError) {
+        if (!accessError.status) throw accessError;
+        return sendAccessError(res, accessError);
+      }
 
-      const song = new Song({
-        title: 'Audio Cover',
+      const modelVersion = model_version || sourceSong.modelVersion;
+
+      try {
+        reservation = await reserveCredits({
+          user: userId,
+          amount: creditCost,
+          feature: 'cover',
+          description: `Audio cover: ${sourceSong.title}`
+        });
+      } catch (creditError) {
+        return res.status(creditError.status || 500).json({
+          success: false,
+          message: creditError.message,
+          required: creditError.required,
+          available: creditError.available
+        });
+      }
+
+      const song = await createDerivedSong(sourceSong, {
+        derivationType: 'cover',
+        workspace,
+        title: title || `${sourceSong.title} (Cover)`,
         description: prompt,
+        styleTags: prompt.split(',').map(tag => tag.trim()).filter(Boolean),
         status: 'pending',
-        modelVersion: model_version,
+        modelVersion,
         creditsUsed: creditCost,
-        user: userId,
-        workspace: workspace._id,
-        originalAudioUrl: audio_url
+        user: userId
       });
 
-      await song.save();
+      try {
+        const callback = withCallbackToken(process.env.CALLBACK_URL);
+
+        const sunoResponse = await sunoApi.generateCover({
+          audioId: sourceSong.sunoAudioId,
+          style: prompt.trim(),
+          title: song.title,
+          model_version: modelVersion,
+          callBackUrl: callback.url
+        });
 
-      workspace.songs.push(song._id);
-      await workspace.save();
+        song.sunoTaskId = sunoResponse.taskId;
+        song.sunoTaskIds.push({ type: 'cover', taskId: sunoResponse.taskId, status: 'processing' });
+        song.status = 'generating';
+        await song.save();
 
-      song.status = 'generating';
-      song.sunoTaskId = `cover_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-      await song.save();
+        await attachTask(reservation, { taskId: sunoResponse.taskId, song: song._id });
 
-      user.credits -= creditCost;
-      user.totalCreditsUsed += creditCost;
-      await user.save();
+        await enqueueJob({
+          taskId: sunoResponse.taskId,
+          type: 'cover',
+          song: song._id,
+          user: userId,
+          callbackToken: callback.token
+        });
 
-      res.status(201).json({
-        success: true,
-        message: 'Audio cover started successfully',
-        data: {
-          songId: song._id,
-          sunoTaskId: song.sunoTaskId,
-          status: 'generating',
-          creditsUsed: creditCost
-        }
-      });
+        res.status(201).json({
+          success: true,
+          message: 'Audio cover started successfully',
+          data: {
+            songId: song._id,
+            parentSongId: sourceSong._id,
+            version: song.version,
+            sunoTaskId: song.sunoTaskId,
+            status: 'generating',
+            creditsUsed: creditCost
+          }
+        });
+
+      } catch (apiError) {
+        console.error('❌ Suno cover error:', apiError);
+
+        await failUnsubmittedSong(song, apiError.message);
+
+        // Return the reserved credits on API failure
+        await refundReservation(reservation._id, `Suno request failed: ${apiError.message}`);
+
+        res.status(500).json({
+          success: false,
+          message: `Audio cover failed: ${apiError.message}`,
+          error: apiError.message
+        });
+      }
 
     } catch (error) {
       console.error('Cover audio error:', error);
+
+      if (reservation) {
+        await refundReservation(reservation._id, 'Cover request failed').catch(() => null);
+      }
+
       res.status(500).json({
         success: false,
         message: error.message || 'Failed to start audio cover'
@@ -537,7 +757,6 @@ class MusicController {
   async getMusicDetails(req, res) {
     try {
       const { songId } = req.params;
-      const userId = req.user.id;
 
       if (!songId) {
         return res.status(400).json({
@@ -546,19 +765,30 @@ class MusicController {
         });
       }
 
-      const song = await Song.findOne({ _id: songId, user: userId })
-        .populate('workspace', 'name description color')
-        .populate('user', 'username email');
+      let song;
+      try {
+        ({ song } = await getAccessibleSong(songId, { user: req.user, action: 'view' }));
+      } catch (accessError) {
+        if (!accessError.status) throw accessError;
+        return sendAccessError(res, accessError);
+      }
 
-      if (!song) {
-        return res.status(404).json({
-          success: false,
-          message: 'Song not found'
-        });
+      // If still generating, poll Suno now so the details reflect the latest status
+      if (song.status === 'generating' && song.sunoTaskId) {
+        try {
+          const job = await pollTaskNow(song.sunoTaskId);
+          if (job) {
+            song = await Song.findById(song._id);
+          }
+        } catch (statusError) {
+          console.error('❌ Status check error:', statusError);
+        }
       }
 
-      // If song is still generating, you could check with Suno API for real updates
-      // For now, we'll just return the current status
+      await song.populate([
+        { path: 'workspace', select: 'name description color' },
+        { path: 'user', select: 'username email' }
+      ]);
 
       res.json({
         success: true,
@@ -640,175 +870,30 @@ class MusicController {
     }
   }
 
-  // Update Song
-  async updateSong(req, res) {
-    try {
-      const { songId } = req.params;
-      const { title, description, tags, notes, rating, isFavorite } = req.body;
-      const userId = req.user.id;
-
-      const updateData = {};
-      if (title !== undefined) updateData.title = title.trim();
-      if (description !== undefined) updateData.description = description.trim();
-      if (notes !== undefined) updateData.notes = notes.trim();
-      if (rating !== undefined) updateData.rating = rating;
-      if (isFavorite !== undefined) updateData.isFavorite = isFavorite;
-      if (tags) {
-        updateData.styleTags = tags.split(',').map(tag => tag.trim()).filter(Boolean);
-      }
-
-      const song = await Song.findOneAndUpdate(
-        { _id: songId, user: userId },
-        updateData,
-        { new: true, runValidators: true }
-      );
-
-      if (!song) {
-        return res.status(404).json({
-          success: false,
-          message: 'Song not found'
-        });
-      }
-
-      res.json({
-        success: true,
-        message: 'Song updated successfully',
-        data: song
-      });
-
-    } catch (error) {
-      console.error('Update song error:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Failed to update song'
-      });
-    }
-  }
-
-  // Delete Song
-  async deleteSong(req, res) {
-    try {
-      const { songId } = req.params;
-      const userId = req.user.id;
-
-      const song = await Song.findOne({ _id: songId, user: userId });
-      if (!song) {
-        return res.status(404).json({
-          success: false,
-          message: 'Song not found'
-        });
-      }
-
-      // Remove from workspace
-      if (song.workspace) {
-        await Workspace.findByIdAndUpdate(
-          song.workspace,
-          {
-            $pull: { songs: songId },
-            $inc: { 'stats.totalSongs': -1 }
-          }
-        );
-      }
-
-      // Delete the song
-      await Song.findByIdAndDelete(songId);
-
-      res.json({
-        success: true,
-        message: 'Song deleted successfully'
-      });
-
-    } catch (error) {
-      console.error('Delete song error:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Failed to delete song'
-      });
-    }
-  }
-
-  // Toggle Favorite
-  async toggleFavorite(req, res) {
-    try {
-      const { songId } = req.params;
-      const userId = req.user.id;
-
-      const song = await Song.findOne({ _id: songId, user: userId });
-      if (!song) {
-        return res.status(404).json({
-          success: false,
-          message: 'Song not found'
-        });
-      }
-
-      song.isFavorite = !song.isFavorite;
-      await song.save();
-
-      res.json({
-        success: true,
-        message: song.isFavorite ? 'Added to favorites' : 'Removed from favorites',
-        data: {
-          songId: song._id,
-          isFavorite: song.isFavorite
-        }
-      });
-
-    } catch (error) {
-      console.error('Toggle favorite error:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Failed to toggle favorite'
-      });
-    }
-  }
-
   // Music Generation Callback
   async musicGenerationCallback(req, res) {
     try {
       const { songId } = req.params;
-      const callbackData = req.body;
+      const result = parseGenerationCallback(req.body);
 
-      console.log(`Received callback for song ${songId}:`, callbackData);
+      console.log(`Received callback for song ${songId}:`, req.body);
 
-      const song = await Song.findById(songId);
-      if (!song) {
-        return res.status(404).json({
-          success: false,
-          message: 'Song not found'
-        });
-      }
+      // verifyWebhook has bound the callback to a task of the song in the URL
+      const taskId = req.webhook.taskId;
 
-      // Update song based on callback data
-      if (callbackData.status === 'completed') {
-        song.status = 'completed';
-        song.audioUrl = callbackData.audio_url;
-        song.duration = callbackData.duration || 0;
-        song.completedAt = new Date();
-
-        // Update workspace stats
-        if (song.workspace) {
-          await Workspace.findByIdAndUpdate(song.workspace, {
-            $inc: {
-              'stats.completedSongs': 1,
-              'stats.totalDuration': song.duration
-            }
-          });
-        }
-
-      } else if (callbackData.status === 'failed') {
-        song.status = 'failed';
-        song.errorMessage = callbackData.error_message || 'Generation failed';
-
-        // Refund credits on failure
-        const user = await User.findById(song.user);
-        if (user && song.creditsUsed > 0) {
-          user.credits += song.creditsUsed;
-          user.totalCreditsUsed -= song.creditsUsed;
-          await user.save();
-        }
+      // Same idempotent path as /api/webhooks/suno: staged callbacks, extra clips as variants
+      let song;
+      if (result.success) {
+        song = await applyGenerationCallback(taskId, result.callbackType, result.clips);
+      } else if (result.success === false) {
+        song = await findSongByTaskId(taskId);
+        if (song) await failSong(song, result.errorMessage || 'Generation failed');
       }
 
-      await song.save();
+      // Stop the poller tracking a task the callback finished
+      if (song && ['completed', 'failed'].includes(song.status)) {
+        await resolveJobByTask(taskId, song.status, song.status === 'failed' ? song.errorMessage : null);
+      }
 
       res.json({ success: true });
 
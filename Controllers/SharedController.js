@@ -0,0 +1,168 @@
+// Controllers/SharedController.js
+import Song from '../Models/Song.js';
+import {
+  findSongByShareToken,
+  findWorkspaceByShareToken,
+  isWorkspaceShareValid
+} from '../Services/Authorization.js';
+
+// What a share visitor may see of a song - never internal fields like task IDs or logs.
+// Files are linked through the song endpoints with the share token, so revoking the link cuts them off too.
+const buildSharedSongView = (song, token, { canPlay, canDownload, canView, canComment }) => {
+  const isReady = song.status === 'completed';
+  const songUrl = `${process.env.BACKEND_URL}/api/songs/${song._id}`;
+  const coverUrl = song.storageKeys?.cover ? `${songUrl}/cover?token=${token}` : song.coverUrl;
+
+  const view = {
+    id: song._id,
+    title: song.title,
+    coverUrl: canView ? coverUrl || null : null,
+    duration: song.duration,
+    status: song.status,
+    permissions: { canPlay, canDownload, canView, canComment },
+    commentsUrl: canComment ? `${songUrl}/comments?token=${token}` : null,
+    streamUrl: canPlay && isReady ? `${songUrl}/stream?token=${token}` : null,
+    downloadUrl: canDownload && isReady ? `${songUrl}/download?token=${token}` : null
+  };
+
+  if (canView) {
+    Object.assign(view, {
+      description: song.description,
+      lyrics: song.isInstrumental ? null : song.lyrics,
+      styleTags: song.styleTags,
+      isInstrumental: song.isInstrumental,
+      createdAt: song.createdAt,
+      owner: song.user?.username
+    });
+  }
+
+  return view;
+};
+
+class SharedController {
+  // Resolve a song share link for anonymous visitors
+  async getSharedSong(req, res) {
+    try {
+      const { token } = req.params;
+
+      const song = await findSongByShareToken(token);
+      if (!song) {
+        return res.status(404).json({
+          success: false,
+          message: 'Share link is invalid or has expired'
+        });
+      }
+
+      await song.populate('user', 'username');
+
+      const permissions = song.sharing.sharePermissions;
+      const data = buildSharedSongView(song, token, {
+        canPlay: permissions.canPlay !== false,
+        canDownload: !!permissions.canDownload,
+        canView: permissions.canView !== false,
+        canComment: !!permissions.canComment
+      });
+
+      res.json({
+        success: true,
+        data: {
+          song: data,
+          expiresAt: song.sharing.shareExpiresAt || null
+        }
+      });
+
+    } catch (error) {
+      console.error('Get shared song error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to load shared song',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // Resolve a workspace share link and list its finished songs
+  async getSharedWorkspace(req, res) {
+    try {
+      const { token } = req.params;
+      const page = Math.max(parseInt(req.query.page) || 1, 1);
+      const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+      // Resolve the link as a signed-in visitor would, so a private link asks for sign-in rather than 404ing
+      const workspace = await findWorkspaceByShareToken(token, { user: req.user || {} });
+      if (!workspace) {
+        return res.status(404).json({
+          success: false,
+          message: 'Share link is invalid or has expired'
+        });
+      }
+
+      if (!isWorkspaceShareValid(workspace, { user: req.user })) {
+        return res.status(401).json({
+          success: false,
+          message: 'Sign in to open this shared workspace'
+        });
+      }
+
+      await workspace.populate('user', 'username');
+
+      const query = { workspace: workspace._id, status: 'completed', isArchived: false };
+
+      const [songs, total] = await Promise.all([
+        Song.find(query)
+          .sort({ createdAt: -1 })
+          .limit(limit)
+          .skip((page - 1) * limit),
+        Song.countDocuments(query)
+      ]);
+
+      const permissions = {
+        canPlay: true,
+        canDownload: !!workspace.shareSettings.allowDownloads,
+        canView: true,
+        canComment: !!workspace.shareSettings.allowComments
+      };
+
+      const songViews = songs.map(song => buildSharedSongView(song, token, permissions));
+
+      res.json({
+        success: true,
+        data: {
+          workspace: {
+            id: workspace._id,
+            name: workspace.name,
+            description: workspace.description,
+            color: workspace.color,
+            icon: workspace.icon,
+            tags: workspace.tags,
+            owner: workspace.user?.username
+          },
+          shareSettings: {
+            allowComments: !!workspace.shareSettings.allowComments,
+            allowDownloads: permissions.canDownload,
+            expiresAt: workspace.shareSettings.expiresAt || null
+          },
+          songs: songViews,
+          pagination: {
+            page,
+            limit,
+            total,
+            totalPages: Math.ceil(total / limit),
+            hasNextPage: page < Math.ceil(total / limit),
+            hasPrevPage: page > 1
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('Get shared workspace error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to load shared workspace',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+}
+
+export default new SharedController();
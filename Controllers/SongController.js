@@ -0,0 +1,964 @@
+// Controllers/SongController.js
+import crypto from 'crypto';
+import archiver from 'archiver';
+import Song from '../Models/Song.js';
+import Workspace from '../Models/Workspace.js';
+import Comment from '../Models/Comment.js';
+import User from '../Models/User.js';
+import { getAccessibleSong, getAuthorizedWorkspace, getRequestShareToken } from '../Services/Authorization.js';
+import { resolveSongFile, getContentType, deleteSongAssets } from '../Services/Storage/index.js';
+import { getSongLineage, unlinkSongs } from '../Services/SongLineage.js';
+import { cancelSongJobs } from '../Services/JobQueue.js';
+import { parseRange, parseTags } from '../Utils/Helpers.js';
+
+// Stream formats and the stored file each one is served from
+const STREAM_FORMATS = {
+  mp3: 'audio',
+  wav: 'wav',
+  vocal: 'vocal',
+  instrumental: 'instrumental',
+  video: 'video'
+};
+
+// Streams that count as a play of the song (stems and the video do not)
+const PLAY_FORMATS = ['mp3', 'wav'];
+
+const STREAM_UNAVAILABLE = {
+  mp3: 'Audio file not available',
+  wav: 'WAV version not available. Convert the song to WAV first.',
+  vocal: 'Vocals not available. Separate vocals first.',
+  instrumental: 'Instrumental not available. Separate vocals first.',
+  video: 'Video not available'
+};
+
+// Download formats and the stored file(s) each one is built from
+const DOWNLOAD_FORMATS = {
+  mp3: ['audio'],
+  wav: ['wav'],
+  stems: ['vocal', 'instrumental']
+};
+
+const STEM_LABELS = {
+  vocal: 'Vocals',
+  instrumental: 'Instrumental'
+};
+
+const MAX_TAGS = 20;
+
+const COLLABORATOR_ROLES = ['viewer', 'editor', 'owner'];
+
+// Fields clients may sort the library by
+const SORT_FIELDS = ['createdAt', 'updatedAt', 'title', 'duration', 'playCount', 'rating', 'lastPlayedAt'];
+
+const sendError = (res, error, fallbackMessage) => {
+  if (error.status && error.status < 500) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+// Links handed out for a shared song
+const buildShareLinks = (song) => ({
+  shareUrl: `${process.env.FRONTEND_URL}/shared/song/${song.sharing.shareToken}`,
+  apiUrl: `${process.env.BACKEND_URL}/api/shared/songs/${song.sharing.shareToken}`
+});
+
+// Share settings from a request body, keeping current values for anything not sent
+const applyShareSettings = (song, { expiresAt, canPlay, canDownload, canView, canComment }) => {
+  if (expiresAt !== undefined) {
+    const expiry = expiresAt ? new Date(expiresAt) : null;
+
+    if (expiry && (isNaN(expiry.getTime()) || expiry <= new Date())) {
+      const error = new Error('expiresAt must be a date in the future');
+      error.status = 400;
+      throw error;
+    }
+    song.sharing.shareExpiresAt = expiry;
+  }
+
+  if (canPlay !== undefined) song.sharing.sharePermissions.canPlay = !!canPlay;
+  if (canDownload !== undefined) song.sharing.sharePermissions.canDownload = !!canDownload;
+  if (canView !== undefined) song.sharing.sharePermissions.canView = !!canView;
+  if (canComment !== undefined) song.sharing.sharePermissions.canComment = !!canComment;
+};
+
+const generateShareToken = () => crypto.randomBytes(32).toString('hex');
+
+// Tags arrive either as an array or a comma separated string
+const normalizeTags = (tags) => {
+  const list = Array.isArray(tags) ? tags : parseTags(String(tags || ''));
+  return [...new Set(list.map(tag => String(tag).trim()).filter(Boolean))];
+};
+
+// Filename built from a song title with characters that are unsafe in paths or headers removed
+const safeFilename = (title, extension) => {
+  const name = String(title || '').replace(/[\\/:*?"<>|\r\n]+/g, ' ').replace(/\s+/g, ' ').trim();
+  return `${name || 'song'}.${extension}`;
+};
+
+// Attachment header with an ASCII fallback plus an RFC 5987 name for non-ASCII titles
+const contentDisposition = (title, extension) => {
+  const name = safeFilename(title, extension);
+  const asciiName = name.replace(/[^\x20-\x7e]/g, '_');
+
+  return `attachment; filename="${asciiName}"; filename*=UTF-8''${encodeURIComponent(name)}`;
+};
+
+// Range requests that do not start at the beginning are seeks or resumes, not new plays/downloads
+const isFreshRequest = (req) => {
+  const rangeHeader = req.get('range');
+  return req.method === 'GET' && (!rangeHeader || /^bytes=0-/.test(rangeHeader));
+};
+
+// Send a stored file, honouring a single HTTP Range so players can seek
+const sendStoredFile = async (req, res, { storage, key }, headers = {}) => {
+  const stats = await storage.stat(key);
+  if (!stats) {
+    return res.status(404).json({
+      success: false,
+      message: 'File not available'
+    });
+  }
+
+  const size = stats.size;
+  const range = parseRange(req.get('range'), size);
+
+  res.set({
+    'Content-Type': getContentType(key),
+    'Accept-Ranges': 'bytes',
+    'Cache-Control': 'private, no-cache',
+    ...headers
+  });
+
+  if (range === false) {
+    return res.status(416).set('Content-Range', `bytes */${size}`).end();
+  }
+
+  if (range) {
+    res.status(206).set({
+      'Content-Range': `bytes ${range.start}-${range.end}/${size}`,
+      'Content-Length': range.end - range.start + 1
+    });
+  } else {
+    res.status(200).set('Content-Length', size);
+  }
+
+  if (req.method === 'HEAD') {
+    return res.end();
+  }
+
+  const { stream } = await storage.get(key, { range: range || undefined });
+
+  stream.on('error', (error) => {
+    console.error(`❌ Error streaming ${key}:`, error.message);
+    res.destroy(error);
+  });
+  stream.pipe(res);
+
+  return range;
+};
+
+class SongController {
+  // List the user's songs (archived songs are hidden unless asked for)
+  async getSongs(req, res) {
+    try {
+      const userId = req.user.id;
+      const {
+        page = 1,
+        limit = 20,
+        workspace,
+        status,
+        search,
+        favorite,
+        archived = 'false',
+        tag,
+        sortBy = 'createdAt',
+        sortOrder = 'desc',
+        shared
+      } = req.query;
+
+      // Within a workspace every member sees all of its songs; shared=true lists songs handed to
+      // the user directly, otherwise only the user's own
+      const query = {};
+      if (workspace) {
+        await getAuthorizedWorkspace(workspace, req.user, null);
+        query.workspace = workspace;
+      } else if (shared === 'true') {
+        query['collaborators.user'] = userId;
+      } else {
+        query.user = userId;
+      }
+
+      // Filters
+      if (status) query.status = status;
+      if (favorite !== undefined) query.isFavorite = favorite === 'true';
+      if (archived !== 'all') query.isArchived = archived === 'true';
+      if (tag) query.tags = tag;
+
+      // Search - a repeated ?search= arrives as an array, so match it as text
+      if (search) {
+        const pattern = new RegExp(String(search).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+        query.$or = [
+          { title: pattern },
+          { description: pattern },
+          { styleTags: pattern },
+          { tags: pattern }
+        ];
+      }
+
+      const sort = {
+        [SORT_FIELDS.includes(sortBy) ? sortBy : 'createdAt']: sortOrder === 'asc' ? 1 : -1
+      };
+
+      const [songs, total] = await Promise.all([
+        Song.find(query)
+          .populate('workspace', 'name description color')
+          .sort(sort)
+          .limit(limit * 1)
+          .skip((page - 1) * limit)
+          .select('-__v -processingLogs'),
+        Song.countDocuments(query)
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          songs,
+          pagination: {
+            page: parseInt(page),
+            limit: parseInt(limit),
+            total,
+            totalPages: Math.ceil(total / limit),
+            hasNextPage: page < Math.ceil(total / limit),
+            hasPrevPage: page > 1
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('Get songs error:', error);
+      sendError(res, error, 'Failed to get songs');
+    }
+  }
+
+  // Get a single song for its owner or a collaborator
+  async getSong(req, res) {
+    try {
+      const { song, songAccess: access } = req;
+
+      await song.populate([
+        { path: 'workspace', select: 'name description color' },
+        { path: 'user', select: 'username email avatar' }
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          ...song.toJSON(),
+          access: {
+            type: access.type,
+            role: access.role,
+            canEdit: access.canEdit,
+            canDelete: access.canDelete,
+            canManageCollaborators: access.canManageCollaborators
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('Get song error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get song',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // Update a song's editable details
+  async updateSong(req, res) {
+    try {
+      const { title, description, styleTags, lyrics } = req.body;
+      const { song } = req;
+
+      if (title !== undefined) {
+        if (!String(title).trim()) {
+          return res.status(400).json({
+            success: false,
+            message: 'Title cannot be empty'
+          });
+        }
+        song.title = String(title).trim();
+      }
+      if (description !== undefined) song.description = String(description).trim();
+      if (lyrics !== undefined) song.lyrics = String(lyrics).trim();
+      if (styleTags !== undefined) song.styleTags = normalizeTags(styleTags).slice(0, MAX_TAGS);
+
+      await song.save();
+
+      res.json({
+        success: true,
+        message: 'Song updated successfully',
+        data: song
+      });
+
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation Error',
+          errors: Object.values(error.errors).map(err => err.message)
+        });
+      }
+
+      console.error('Update song error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update song'
+      });
+    }
+  }
+
+  // Delete a song, its stored files and its place in the workspace
+  async deleteSong(req, res) {
+    try {
+      const { song } = req;
+
+      // Tasks still running for the song can never deliver, so their reserved credits go back
+      await cancelSongJobs([song._id]);
+
+      // Remove from workspace
+      if (song.workspace) {
+        await Workspace.findByIdAndUpdate(
+          song.workspace,
+          {
+            $pull: { songs: song._id },
+            $inc: { 'stats.totalSongs': -1 }
+          }
+        );
+      }
+
+      // Delete the song, its comments and its stored files, and drop links to it from related songs
+      await Song.findByIdAndDelete(song._id);
+      await Comment.deleteMany({ song: song._id });
+      await deleteSongAssets(song);
+      await unlinkSongs([song._id]);
+
+      res.json({
+        success: true,
+        message: 'Song deleted successfully'
+      });
+
+    } catch (error) {
+      console.error('Delete song error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to delete song'
+      });
+    }
+  }
+
+  // Toggle Favorite
+  async toggleFavorite(req, res) {
+    try {
+      const { song } = req;
+
+      await song.toggleFavorite();
+
+      res.json({
+        success: true,
+        message: song.isFavorite ? 'Added to favorites' : 'Removed from favorites',
+        data: {
+          songId: song._id,
+          isFavorite: song.isFavorite
+        }
+      });
+
+    } catch (error) {
+      console.error('Toggle favorite error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to toggle favorite'
+      });
+    }
+  }
+
+  // Archive a song - it stays in the library but is hidden from the default list
+  async archiveSong(req, res) {
+    try {
+      const { song } = req;
+
+      song.isArchived = true;
+      await song.save();
+
+      res.json({
+        success: true,
+        message: 'Song archived',
+        data: {
+          songId: song._id,
+          isArchived: song.isArchived
+        }
+      });
+
+    } catch (error) {
+      console.error('Archive song error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to archive song'
+      });
+    }
+  }
+
+  // Bring an archived song back into the library
+  async unarchiveSong(req, res) {
+    try {
+      const { song } = req;
+
+      song.isArchived = false;
+      await song.save();
+
+      res.json({
+        success: true,
+        message: 'Song restored from archive',
+        data: {
+          songId: song._id,
+          isArchived: song.isArchived
+        }
+      });
+
+    } catch (error) {
+      console.error('Unarchive song error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to unarchive song'
+      });
+    }
+  }
+
+  // Rate a song from 1 to 5, or clear the rating with null
+  async rateSong(req, res) {
+    try {
+      const rating = req.body.rating === null ? null : Number(req.body.rating);
+
+      if (rating !== null && (!Number.isInteger(rating) || rating < 1 || rating > 5)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Rating must be a whole number from 1 to 5, or null to clear it'
+        });
+      }
+
+      const { song } = req;
+
+      song.rating = rating === null ? undefined : rating;
+      await song.save();
+
+      res.json({
+        success: true,
+        message: rating === null ? 'Rating cleared' : 'Song rated',
+        data: {
+          songId: song._id,
+          rating: song.rating ?? null
+        }
+      });
+
+    } catch (error) {
+      console.error('Rate song error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to rate song'
+      });
+    }
+  }
+
+  // Replace a song's private notes
+  async updateNotes(req, res) {
+    try {
+      const notes = String(req.body.notes ?? '').trim();
+
+      if (notes.length > 1000) {
+        return res.status(400).json({
+          success: false,
+          message: 'Notes cannot exceed 1000 characters'
+        });
+      }
+
+      const { song } = req;
+
+      song.notes = notes;
+      await song.save();
+
+      res.json({
+        success: true,
+        message: 'Notes updated',
+        data: {
+          songId: song._id,
+          notes: song.notes
+        }
+      });
+
+    } catch (error) {
+      console.error('Update notes error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update notes'
+      });
+    }
+  }
+
+  // Replace, add or remove a song's tags
+  async updateTags(req, res) {
+    try {
+      const { tags = [], add = [], remove = [] } = req.body;
+      const mode = req.method === 'PUT' ? 'replace' : 'merge';
+
+      const { song } = req;
+
+      let nextTags = mode === 'replace' ? normalizeTags(tags) : [...song.tags];
+
+      if (mode === 'merge') {
+        const removed = normalizeTags(remove).map(tag => tag.toLowerCase());
+        nextTags = normalizeTags([...nextTags, ...normalizeTags(add)])
+          .filter(tag => !removed.includes(tag.toLowerCase()));
+      }
+
+      if (nextTags.length > MAX_TAGS) {
+        return res.status(400).json({
+          success: false,
+          message: `A song can have at most ${MAX_TAGS} tags`
+        });
+      }
+
+      if (nextTags.some(tag => tag.length > 50)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Tag cannot exceed 50 characters'
+        });
+      }
+
+      song.tags = nextTags;
+      await song.save();
+
+      res.json({
+        success: true,
+        message: 'Tags updated',
+        data: {
+          songId: song._id,
+          tags: song.tags
+        }
+      });
+
+    } catch (error) {
+      console.error('Update tags error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update tags'
+      });
+    }
+  }
+
+  // Create a share link, or update the settings of the existing one
+  async shareSong(req, res) {
+    try {
+      const { song } = req;
+
+      applyShareSettings(song, req.body);
+
+      // A revoked link is never revived - sharing again issues a fresh token
+      if (!song.sharing.isShared || !song.sharing.shareToken) {
+        song.sharing.shareToken = generateShareToken();
+      }
+      song.sharing.isShared = true;
+
+      await song.save();
+
+      res.json({
+        success: true,
+        message: 'Song shared successfully',
+        data: {
+          shareToken: song.sharing.shareToken,
+          ...buildShareLinks(song),
+          sharing: song.sharing
+        }
+      });
+
+    } catch (error) {
+      console.error('Share song error:', error);
+      sendError(res, error, 'Failed to share song');
+    }
+  }
+
+  // Replace the share token so previously handed out links stop working
+  async rotateShareLink(req, res) {
+    try {
+      const { song } = req;
+
+      if (!song.sharing.isShared) {
+        return res.status(400).json({
+          success: false,
+          message: 'Song is not shared'
+        });
+      }
+
+      applyShareSettings(song, req.body);
+      song.sharing.shareToken = generateShareToken();
+      await song.save();
+
+      res.json({
+        success: true,
+        message: 'Share link rotated',
+        data: {
+          shareToken: song.sharing.shareToken,
+          ...buildShareLinks(song),
+          sharing: song.sharing
+        }
+      });
+
+    } catch (error) {
+      console.error('Rotate share link error:', error);
+      sendError(res, error, 'Failed to rotate share link');
+    }
+  }
+
+  // Stop sharing a song - its link stops working immediately
+  async revokeShareLink(req, res) {
+    try {
+      const { song } = req;
+
+      song.sharing.isShared = false;
+      song.sharing.shareToken = undefined;
+      song.sharing.shareExpiresAt = undefined;
+      await song.save();
+
+      res.json({
+        success: true,
+        message: 'Share link revoked'
+      });
+
+    } catch (error) {
+      console.error('Revoke share link error:', error);
+      sendError(res, error, 'Failed to revoke share link');
+    }
+  }
+
+  // The version tree the song belongs to, from the original through every song derived from it
+  async getLineage(req, res) {
+    try {
+      const lineage = await getSongLineage(req.song, { user: req.user });
+
+      res.json({
+        success: true,
+        data: lineage
+      });
+
+    } catch (error) {
+      console.error('Get song lineage error:', error);
+      sendError(res, error, 'Failed to get song lineage');
+    }
+  }
+
+  // List the people the song has been handed to directly
+  async getCollaborators(req, res) {
+    try {
+      const { song } = req;
+
+      await song.populate([
+        { path: 'user', select: 'username email avatar' },
+        { path: 'collaborators.user', select: 'username email avatar' }
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          owner: song.user,
+          collaborators: song.collaborators
+        }
+      });
+
+    } catch (error) {
+      console.error('Get song collaborators error:', error);
+      sendError(res, error, 'Failed to get collaborators');
+    }
+  }
+
+  // Give a registered user access to this song only, without its workspace
+  async addCollaborator(req, res) {
+    try {
+      const { song } = req;
+      const { email, role = 'viewer' } = req.body;
+
+      if (!email) {
+        return res.status(400).json({
+          success: false,
+          message: 'Email is required'
+        });
+      }
+
+      if (!COLLABORATOR_ROLES.includes(role)) {
+        return res.status(400).json({
+          success: false,
+          message: `Valid role is required (${COLLABORATOR_ROLES.join(', ')})`
+        });
+      }
+
+      const collaborator = await User.findOne({ email: String(email).toLowerCase().trim() });
+      if (!collaborator) {
+        return res.status(404).json({
+          success: false,
+          message: 'User with this email not found'
+        });
+      }
+
+      await song.addCollaborator(collaborator._id, role, req.user.id);
+      await song.populate('collaborators.user', 'username email avatar');
+
+      res.status(201).json({
+        success: true,
+        message: `Added ${collaborator.username} to ${song.title} as ${role}`,
+        data: {
+          collaborators: song.collaborators
+        }
+      });
+
+    } catch (error) {
+      console.error('Add song collaborator error:', error);
+      sendError(res, error, 'Failed to add collaborator');
+    }
+  }
+
+  // Change what a song collaborator may do
+  async updateCollaboratorRole(req, res) {
+    try {
+      const { song } = req;
+      const { role } = req.body;
+
+      if (!COLLABORATOR_ROLES.includes(role)) {
+        return res.status(400).json({
+          success: false,
+          message: `Valid role is required (${COLLABORATOR_ROLES.join(', ')})`
+        });
+      }
+
+      await song.updateCollaboratorRole(req.params.collaboratorId, role);
+      await song.populate('collaborators.user', 'username email avatar');
+
+      res.json({
+        success: true,
+        message: 'Collaborator role updated successfully',
+        data: {
+          collaborators: song.collaborators
+        }
+      });
+
+    } catch (error) {
+      console.error('Update song collaborator error:', error);
+      sendError(res, error, 'Failed to update collaborator role');
+    }
+  }
+
+  // Remove a song collaborator; collaborators may also remove themselves
+  async removeCollaborator(req, res) {
+    try {
+      const { song, songAccess: access } = req;
+      const { collaboratorId } = req.params;
+
+      if (!access.canManageCollaborators && collaboratorId !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          message: 'You do not have permission to manage collaborators on this song'
+        });
+      }
+
+      await song.removeCollaborator(collaboratorId);
+
+      res.json({
+        success: true,
+        message: 'Collaborator removed successfully'
+      });
+
+    } catch (error) {
+      console.error('Remove song collaborator error:', error);
+      sendError(res, error, 'Failed to remove collaborator');
+    }
+  }
+
+  // Stream a song's audio to its owner, a collaborator or a share visitor
+  async streamSong(req, res) {
+    try {
+      const { songId } = req.params;
+      const format = String(req.query.format || 'mp3').toLowerCase();
+
+      if (!STREAM_FORMATS[format]) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid format. Choose one of: ${Object.keys(STREAM_FORMATS).join(', ')}`
+        });
+      }
+
+      const { song } = await getAccessibleSong(songId, {
+        user: req.user,
+        shareToken: getRequestShareToken(req),
+        action: 'play'
+      });
+
+      if (song.status !== 'completed') {
+        return res.status(400).json({
+          success: false,
+          message: 'Song is not ready to play yet'
+        });
+      }
+
+      const file = await resolveSongFile(song, STREAM_FORMATS[format]);
+      if (!file) {
+        return res.status(404).json({
+          success: false,
+          message: STREAM_UNAVAILABLE[format]
+        });
+      }
+
+      // Only a fresh start counts as a play, not every seek or buffered chunk
+      if (PLAY_FORMATS.includes(format) && isFreshRequest(req)) {
+        song.incrementPlayCount().catch(error => {
+          console.error('Failed to record play:', error.message);
+        });
+      }
+
+      await sendStoredFile(req, res, file);
+
+    } catch (error) {
+      console.error('Stream song error:', error);
+      if (res.headersSent) return res.destroy(error);
+      sendError(res, error, 'Failed to stream song');
+    }
+  }
+
+  // Serve a song's cover art to anyone who may view the song
+  async getCover(req, res) {
+    try {
+      const { song } = await getAccessibleSong(req.params.songId, {
+        user: req.user,
+        shareToken: getRequestShareToken(req),
+        action: 'view'
+      });
+
+      const file = await resolveSongFile(song, 'cover');
+      if (!file) {
+        return res.status(404).json({
+          success: false,
+          message: 'Cover art not available'
+        });
+      }
+
+      await sendStoredFile(req, res, file);
+
+    } catch (error) {
+      console.error('Get cover error:', error);
+      if (res.headersSent) return res.destroy(error);
+      sendError(res, error, 'Failed to load cover art');
+    }
+  }
+
+  // Download a song as mp3, wav or a zip of its separated stems
+  async downloadSong(req, res) {
+    try {
+      const { songId } = req.params;
+      const format = String(req.query.format || 'mp3').toLowerCase();
+
+      if (!DOWNLOAD_FORMATS[format]) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid format. Choose one of: ${Object.keys(DOWNLOAD_FORMATS).join(', ')}`
+        });
+      }
+
+      const { song } = await getAccessibleSong(songId, {
+        user: req.user,
+        shareToken: getRequestShareToken(req),
+        action: 'download'
+      });
+
+      if (song.status !== 'completed') {
+        return res.status(400).json({
+          success: false,
+          message: 'Song is not ready to download yet'
+        });
+      }
+
+      const files = [];
+      for (const kind of DOWNLOAD_FORMATS[format]) {
+        const file = await resolveSongFile(song, kind);
+        if (file) files.push({ kind, ...file });
+      }
+
+      if (files.length === 0) {
+        const messages = {
+          mp3: 'Audio file not available',
+          wav: 'WAV version not available. Convert the song to WAV first.',
+          stems: 'Stems not available. Separate vocals first.'
+        };
+
+        return res.status(404).json({
+          success: false,
+          message: messages[format]
+        });
+      }
+
+      if (format !== 'stems') {
+        if (isFreshRequest(req)) {
+          await song.incrementDownloadCount();
+        }
+
+        return await sendStoredFile(req, res, files[0], {
+          'Content-Disposition': contentDisposition(song.title, format)
+        });
+      }
+
+      // Stems are bundled into one zip; audio is already compressed so entries are stored as-is
+      res.set({
+        'Content-Type': 'application/zip',
+        'Content-Disposition': contentDisposition(`${song.title} (Stems)`, 'zip'),
+        'Cache-Control': 'private, no-cache'
+      });
+
+      if (req.method === 'HEAD') {
+        return res.end();
+      }
+
+      await song.incrementDownloadCount();
+
+      const archive = archiver('zip', { store: true });
+
+      archive.on('warning', (error) => {
+        console.warn('⚠️ Stem archive warning:', error.message);
+      });
+      archive.on('error', (error) => {
+        console.error('❌ Stem archive error:', error.message);
+        res.destroy(error);
+      });
+
+      archive.pipe(res);
+
+      for (const file of files) {
+        const { stream } = await file.storage.get(file.key);
+        const extension = file.key.split('.').pop();
+        archive.append(stream, { name: safeFilename(`${song.title} (${STEM_LABELS[file.kind]})`, extension) });
+      }
+
+      await archive.finalize();
+
+    } catch (error) {
+      console.error('Download song error:', error);
+      if (res.headersSent) return res.destroy(error);
+      sendError(res, error, 'Failed to download song');
+    }
+  }
+}
+
+export default new SongController();
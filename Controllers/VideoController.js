@@ -1,59 +1,106 @@
-import sunoApi from '../Config/SunoApi.js';
-import User from '../Models/User.js';
-import Song from '../Models/Song.js';
+import { sunoApi } from '../Config/SunoApi.js';
 import { CREDIT_COSTS } from '../Utils/Constants.js';
+import { reserveCredits, attachTask, refundReservation } from '../Services/CreditLedger.js';
+import { enqueueJob } from '../Services/JobQueue.js';
+import {
+    parseAudioCallback,
+    findSongByAudioTask,
+    applyVideoResult,
+    failAudioTask
+} from '../Services/AudioProcessingService.js';
+import { getAccessibleSong } from '../Services/Authorization.js';
+import { getStorage } from '../Services/Storage/index.js';
+import { withCallbackToken } from '../Utils/WebhookSignature.js';
+
+// Send an authorization failure (404/403) as a normal response
+const sendAccessError = (res, error) => res.status(error.status).json({
+    success: false,
+    message: error.message
+});
 
 class VideoController {
     // Create Music Video
     async createMusicVideo(req, res) {
         try {
-            const {
-                audio_url,
-                video_style = 'default',
-                theme = 'abstract',
-                duration_seconds,
-                resolution = '1080p',
-                callback_url
-            } = req.body;
-
+            const { song_id, author, domain_name } = req.body;
             const userId = req.user.id;
             const creditCost = CREDIT_COSTS.CREATE_VIDEO;
 
-            if (!audio_url) {
+            if (!song_id) {
                 return res.status(400).json({
                     success: false,
-                    message: 'Audio URL is required'
+                    message: 'Song ID is required'
                 });
             }
 
-            const user = await User.findById(userId);
-            if (user.credits < creditCost) {
+            let song;
+            try {
+                ({ song } = await getAccessibleSong(song_id, { user: req.user, action: 'edit' }));
+            } catch (accessError) {
+                if (!accessError.status) throw accessError;
+                return sendAccessError(res, accessError);
+            }
+
+            if (!song.sunoTaskId || !song.sunoAudioId) {
                 return res.status(400).json({
                     success: false,
-                    message: `Insufficient credits. You need at least ${creditCost} credits.`
+                    message: 'Only completed Suno songs can be turned into a music video'
+                });
+            }
+
+            // Signed callback URL so the webhook can prove which task it belongs to
+            const callback = withCallbackToken(`${process.env.BACKEND_URL}/api/video/callback`);
+
+            let reservation;
+            try {
+                reservation = await reserveCredits({
+                    user: userId,
+                    amount: creditCost,
+                    feature: 'video',
+                    song: song._id,
+                    description: `Music video: ${song.title}`
+                });
+            } catch (creditError) {
+                return res.status(creditError.status || 500).json({
+                    success: false,
+                    message: creditError.message,
+                    required: creditError.required,
+                    available: creditError.available
                 });
             }
 
             const sunoParams = {
-                audio_url,
-                video_style,
-                theme,
-                duration_seconds,
-                resolution,
-                callback_url: callback_url || `${process.env.BACKEND_URL}/api/video/callback`
+                task_id: song.sunoTaskId,
+                audio_id: song.sunoAudioId,
+                author,
+                domain_name,
+                callback_url: callback.url
             };
 
             try {
                 const sunoResponse = await sunoApi.createMusicVideo(sunoParams);
 
-                await user.deductCredits(creditCost);
+                await attachTask(reservation, { taskId: sunoResponse.taskId });
+
+                song.sunoTaskIds.push({ type: 'video', taskId: sunoResponse.taskId, status: 'processing' });
+                await song.addLog('info', 'Music video started', { taskId: sunoResponse.taskId });
+
+                // Refund automatically if the video fails or never finishes
+                await enqueueJob({
+                    taskId: sunoResponse.taskId,
+                    type: 'video',
+                    song: song._id,
+                    user: userId,
+                    callbackToken: callback.token
+                });
 
                 res.status(201).json({
                     success: true,
                     message: 'Music video creation started successfully',
                     data: {
-                        taskId: sunoResponse.id,
-                        status: sunoResponse.status || 'pending',
+                        songId: song._id,
+                        taskId: sunoResponse.taskId,
+                        status: 'pending',
                         creditsUsed: creditCost,
                         estimatedTime: '5-10 minutes'
                     }
@@ -61,6 +108,7 @@ class VideoController {
 
             } catch (apiError) {
                 console.error('Create video API error:', apiError);
+                await refundReservation(reservation._id, `Suno request failed: ${apiError.message}`);
                 throw apiError;
             }
 
@@ -106,21 +154,19 @@ class VideoController {
     // Music Video Generation Callback
     async videoCallback(req, res) {
         try {
-            const callbackData = req.body;
+            const result = parseAudioCallback(req.body);
+            console.log('Music video generation callback received:', req.body);
 
-            console.log('Music video generation callback received:', callbackData);
+            const song = result.taskId && await findSongByAudioTask(result.taskId);
+            if (!song) {
+                console.warn(`Video callback for unknown task: ${result.taskId}`);
+                return res.json({ success: true });
+            }
 
-            if (callbackData.status === 'completed') {
-                console.log('Music video generation completed:', {
-                    taskId: callbackData.id,
-                    videoUrl: callbackData.video_url,
-                    thumbnailUrl: callbackData.thumbnail_url
-                });
-            } else if (callbackData.status === 'failed') {
-                console.log('Music video generation failed:', {
-                    taskId: callbackData.id,
-                    error: callbackData.error_message
-                });
+            if (result.success && result.videoUrl) {
+                await applyVideoResult(song, result.taskId, result);
+            } else if (result.success === false) {
+                await failAudioTask(song, result.taskId, result.errorMessage);
             }
 
             res.json({ success: true });
@@ -220,7 +266,6 @@ class VideoController {
         try {
             const { songId } = req.params;
             const { videoUrl, thumbnailUrl } = req.body;
-            const userId = req.user.id;
 
             if (!videoUrl) {
                 return res.status(400).json({
@@ -229,12 +274,20 @@ class VideoController {
                 });
             }
 
-            const song = await Song.findOne({ _id: songId, user: userId });
-            if (!song) {
-                return res.status(404).json({
-                    success: false,
-                    message: 'Song not found'
+            let song;
+            try {
+                ({ song } = await getAccessibleSong(songId, { user: req.user, action: 'edit' }));
+            } catch (accessError) {
+                if (!accessError.status) throw accessError;
+                return sendAccessError(res, accessError);
+            }
+
+            // A stored video would be served instead of the one being applied
+            if (song.storageKeys?.video) {
+                await getStorage().delete(song.storageKeys.video).catch(error => {
+                    console.error(`❌ Failed to delete ${song.storageKeys.video}:`, error.message);
                 });
+                song.set('storageKeys.video', undefined);
             }
 
             // Update song with video
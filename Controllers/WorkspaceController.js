@@ -1,7 +1,30 @@
 import Workspace from '../Models/Workspace.js';
-import Song from '../Models/Song.js';
 import User from '../Models/User.js';
+import Invitation from '../Models/Invitation.js';
+import { getAuthorizedWorkspace } from '../Services/Authorization.js';
+import { purgeWorkspace, getPurgeDate, getDaysUntilPurge, getRetentionDays } from '../Services/TrashRetention.js';
 import crypto from 'crypto';
+import validator from 'validator';
+
+// Name for a workspace made from a template, numbered if the user already has one with that name
+const findAvailableName = async (userId, baseName) => {
+  const taken = await Workspace.find({ user: userId, isTrashed: false })
+    .select('name')
+    .then(workspaces => new Set(workspaces.map(workspace => workspace.name)));
+
+  if (!taken.has(baseName)) return baseName;
+
+  let copy = 2;
+  while (taken.has(`${baseName} (${copy})`)) copy += 1;
+  return `${baseName} (${copy})`.substring(0, 100);
+};
+
+const parseTagList = (tags) => {
+  if (!tags) return [];
+  return (Array.isArray(tags) ? tags : tags.split(','))
+    .map(tag => String(tag).trim())
+    .filter(Boolean);
+};
 
 class WorkspaceController {
   // Get User's Workspaces
@@ -49,7 +72,7 @@ class WorkspaceController {
         .populate('collaborators.user', 'username email avatar')
         .populate({
           path: 'songs',
-          select: 'title status duration createdAt audioUrl thumbnailUrl isFavorite',
+          select: 'title status duration createdAt audioUrl thumbnailUrl storageKeys isFavorite',
           options: { sort: { createdAt: -1 } }
         });
 
@@ -163,7 +186,7 @@ class WorkspaceController {
   async updateWorkspace(req, res) {
     try {
       const { workspaceId } = req.params;
-      const { name, description, color, icon, tags, settings } = req.body;
+      const { name, description, color, icon, tags, settings, promptPresets } = req.body;
       const userId = req.user.id;
 
       const workspace = await Workspace.findOne({
@@ -212,6 +235,10 @@ class WorkspaceController {
         workspace.settings = { ...workspace.settings, ...settings };
       }
 
+      if (promptPresets !== undefined) {
+        workspace.promptPresets = Array.isArray(promptPresets) ? promptPresets : [];
+      }
+
       await workspace.save();
 
       const updatedWorkspace = await Workspace.findById(workspaceId)
@@ -294,8 +321,13 @@ class WorkspaceController {
       res.json({
         success: true,
         data: {
-          workspaces,
-          total: workspaces.length
+          workspaces: workspaces.map(workspace => ({
+            ...workspace.toJSON(),
+            purgeAt: getPurgeDate(workspace.trashedAt),
+            daysUntilPurge: getDaysUntilPurge(workspace.trashedAt)
+          })),
+          total: workspaces.length,
+          retentionDays: getRetentionDays()
         }
       });
 
@@ -372,22 +404,16 @@ class WorkspaceController {
         });
       }
 
-      // Delete all songs in this workspace
-      const deletedSongs = await Song.deleteMany({ workspace: workspaceId });
-
-      // Remove from user's workspaces
-      await User.findByIdAndUpdate(userId, {
-        $pull: { workspaces: workspaceId }
-      });
-
-      // Delete the workspace
-      await Workspace.findByIdAndDelete(workspaceId);
+      // Delete the workspace with its songs, files and comments
+      const purged = await purgeWorkspace(workspace);
 
       res.json({
         success: true,
         message: 'Workspace permanently deleted successfully',
         data: {
-          songsDeleted: deletedSongs.deletedCount
+          songsDeleted: purged.songsDeleted,
+          filesDeleted: purged.filesDeleted,
+          commentsDeleted: purged.commentsDeleted
         }
       });
 
@@ -462,20 +488,62 @@ class WorkspaceController {
     }
   }
 
-  // Add Collaborator
-  async addCollaborator(req, res) {
+  // Rotate Share Link - old links stop working
+  async rotateShareLink(req, res) {
     try {
       const { workspaceId } = req.params;
-      const { email, role = 'viewer' } = req.body;
       const userId = req.user.id;
 
-      if (!email) {
+      const workspace = await Workspace.findOne({
+        _id: workspaceId,
+        user: userId
+      });
+
+      if (!workspace) {
+        return res.status(404).json({
+          success: false,
+          message: 'Workspace not found'
+        });
+      }
+
+      if (!workspace.isShared) {
         return res.status(400).json({
           success: false,
-          message: 'Email is required'
+          message: 'Workspace is not shared'
         });
       }
 
+      workspace.shareToken = crypto.randomBytes(32).toString('hex');
+      await workspace.save();
+
+      const shareUrl = `${process.env.FRONTEND_URL}/shared/workspace/${workspace.shareToken}`;
+
+      res.json({
+        success: true,
+        message: 'Share link rotated successfully',
+        data: {
+          shareToken: workspace.shareToken,
+          shareUrl,
+          shareSettings: workspace.shareSettings
+        }
+      });
+
+    } catch (error) {
+      console.error('Rotate share link error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to rotate share link',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // Revoke Share Link
+  async revokeShareLink(req, res) {
+    try {
+      const { workspaceId } = req.params;
+      const userId = req.user.id;
+
       const workspace = await Workspace.findOne({
         _id: workspaceId,
         user: userId
@@ -488,51 +556,364 @@ class WorkspaceController {
         });
       }
 
-      // Find user to invite
-      const inviteUser = await User.findOne({ email: email.toLowerCase() });
-      if (!inviteUser) {
+      workspace.isShared = false;
+      workspace.shareToken = undefined;
+      await workspace.save();
+
+      res.json({
+        success: true,
+        message: 'Share link revoked successfully'
+      });
+
+    } catch (error) {
+      console.error('Revoke share link error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to revoke share link',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // Mark a workspace as a template (or update its template details)
+  async updateTemplate(req, res) {
+    try {
+      const { workspaceId } = req.params;
+      const {
+        templateName,
+        templateDescription,
+        templateTags,
+        isPublicTemplate
+      } = req.body;
+      const userId = req.user.id;
+
+      const workspace = await Workspace.findOne({
+        _id: workspaceId,
+        user: userId,
+        isTrashed: false
+      });
+
+      if (!workspace) {
         return res.status(404).json({
           success: false,
-          message: 'User with this email not found'
+          message: 'Workspace not found'
         });
       }
 
-      if (inviteUser._id.toString() === userId) {
+      workspace.template.isTemplate = true;
+      if (templateName !== undefined) workspace.template.templateName = templateName?.trim();
+      if (templateDescription !== undefined) workspace.template.templateDescription = templateDescription?.trim();
+      if (templateTags !== undefined) workspace.template.templateTags = parseTagList(templateTags);
+      if (isPublicTemplate !== undefined) workspace.template.isPublicTemplate = !!isPublicTemplate;
+
+      if (!workspace.template.templateName) {
+        workspace.template.templateName = workspace.name;
+      }
+
+      await workspace.save();
+
+      res.json({
+        success: true,
+        message: workspace.template.isPublicTemplate
+          ? 'Workspace published as a template'
+          : 'Workspace saved as a private template',
+        data: {
+          workspaceId: workspace._id,
+          template: workspace.template
+        }
+      });
+
+    } catch (error) {
+      if (error.name === 'ValidationError') {
         return res.status(400).json({
           success: false,
-          message: 'Cannot invite yourself'
+          message: 'Validation Error',
+          errors: Object.values(error.errors).map(err => err.message)
         });
       }
 
-      try {
-        await workspace.addCollaborator(inviteUser._id, role, userId);
+      console.error('Update template error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update template',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
 
-        const updatedWorkspace = await Workspace.findById(workspaceId)
-          .populate('collaborators.user', 'username email avatar');
+  // Stop offering a workspace as a template
+  async removeTemplate(req, res) {
+    try {
+      const { workspaceId } = req.params;
+      const userId = req.user.id;
 
-        res.json({
-          success: true,
-          message: `Successfully invited ${inviteUser.username} as ${role}`,
-          data: {
-            collaborators: updatedWorkspace.collaborators
+      const workspace = await Workspace.findOne({
+        _id: workspaceId,
+        user: userId
+      });
+
+      if (!workspace) {
+        return res.status(404).json({
+          success: false,
+          message: 'Workspace not found'
+        });
+      }
+
+      workspace.template.isTemplate = false;
+      workspace.template.isPublicTemplate = false;
+      await workspace.save();
+
+      res.json({
+        success: true,
+        message: 'Workspace is no longer a template'
+      });
+
+    } catch (error) {
+      console.error('Remove template error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to remove template',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // Browse and search the public template gallery
+  async getTemplates(req, res) {
+    try {
+      const { search, tag, sort = 'popular' } = req.query;
+      const page = Math.max(parseInt(req.query.page) || 1, 1);
+      const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 50);
+
+      const [templates, total] = await Promise.all([
+        Workspace.findPublicTemplates({
+          search,
+          tag,
+          sort,
+          limit,
+          skip: (page - 1) * limit
+        }),
+        Workspace.countPublicTemplates({ search, tag })
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          templates,
+          pagination: {
+            page,
+            limit,
+            total,
+            totalPages: Math.ceil(total / limit),
+            hasNextPage: page < Math.ceil(total / limit),
+            hasPrevPage: page > 1
           }
+        }
+      });
+
+    } catch (error) {
+      console.error('Get templates error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get templates',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // Create a new workspace from a template
+  async useTemplate(req, res) {
+    try {
+      const { templateId } = req.params;
+      const { name, includePresets = true } = req.body;
+      const userId = req.user.id;
+
+      // Public templates, or the user's own private ones
+      const template = await Workspace.findOne({
+        _id: templateId,
+        'template.isTemplate': true,
+        isTrashed: false,
+        $or: [
+          { 'template.isPublicTemplate': true },
+          { user: userId }
+        ]
+      });
+
+      if (!template) {
+        return res.status(404).json({
+          success: false,
+          message: 'Template not found'
+        });
+      }
+
+      let workspaceName;
+      if (name && name.trim()) {
+        workspaceName = name.trim();
+
+        const existingWorkspace = await Workspace.findOne({
+          user: userId,
+          name: workspaceName,
+          isTrashed: false
         });
 
-      } catch (addError) {
-        if (addError.message.includes('already a collaborator')) {
+        if (existingWorkspace) {
+          return res.status(400).json({
+            success: false,
+            message: 'You already have a workspace with this name'
+          });
+        }
+      } else {
+        workspaceName = await findAvailableName(userId, template.template.templateName || template.name);
+      }
+
+      const workspace = new Workspace({
+        name: workspaceName,
+        description: template.template.templateDescription || template.description,
+        color: template.color,
+        icon: template.icon,
+        tags: template.tags,
+        settings: template.settings.toObject(),
+        promptPresets: includePresets
+          ? template.promptPresets.map(({ name, prompt, tags, modelVersion, isInstrumental }) => ({
+            name, prompt, tags, modelVersion, isInstrumental
+          }))
+          : [],
+        user: userId
+      });
+
+      await workspace.save();
+
+      await User.findByIdAndUpdate(userId, {
+        $push: { workspaces: workspace._id }
+      });
+
+      await Workspace.updateOne(
+        { _id: template._id },
+        { $inc: { 'template.usageCount': 1 } }
+      );
+
+      const populatedWorkspace = await Workspace.findById(workspace._id)
+        .populate('user', 'username email avatar');
+
+      res.status(201).json({
+        success: true,
+        message: 'Workspace created from template',
+        data: populatedWorkspace
+      });
+
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation Error',
+          errors: Object.values(error.errors).map(err => err.message)
+        });
+      }
+
+      console.error('Use template error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create workspace from template',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // Invite Collaborator - they join the workspace once they accept
+  async addCollaborator(req, res) {
+    try {
+      const { workspaceId } = req.params;
+      const { email, role = 'viewer' } = req.body;
+      const userId = req.user.id;
+
+      if (!email || !validator.isEmail(String(email))) {
+        return res.status(400).json({
+          success: false,
+          message: 'A valid email is required'
+        });
+      }
+
+      if (!['viewer', 'editor', 'admin'].includes(role)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Valid role is required (viewer, editor, admin)'
+        });
+      }
+
+      let workspace;
+      try {
+        workspace = await getAuthorizedWorkspace(workspaceId, userId, 'canInviteUsers');
+      } catch (accessError) {
+        if (!accessError.status) throw accessError;
+        return res.status(accessError.status).json({
+          success: false,
+          message: accessError.message
+        });
+      }
+
+      const inviteEmail = String(email).toLowerCase().trim();
+      const inviteUser = await User.findOne({ email: inviteEmail });
+
+      if (inviteUser) {
+        if (inviteUser._id.toString() === userId) {
+          return res.status(400).json({
+            success: false,
+            message: 'Cannot invite yourself'
+          });
+        }
+
+        const isMember = workspace.user.toString() === inviteUser._id.toString() ||
+          workspace.collaborators.some(c => c.user.toString() === inviteUser._id.toString());
+
+        if (isMember) {
           return res.status(400).json({
             success: false,
             message: 'User is already a collaborator on this workspace'
           });
         }
-        throw addError;
       }
 
+      await Invitation.expireStale({ workspace: workspace._id, email: inviteEmail });
+
+      // Inviting the same email again refreshes the pending invite instead of adding another
+      let invitation = await Invitation.findOne({
+        workspace: workspace._id,
+        email: inviteEmail,
+        status: 'pending'
+      });
+
+      if (!invitation) {
+        invitation = new Invitation({ workspace: workspace._id, email: inviteEmail });
+      }
+
+      invitation.invitee = inviteUser?._id || null;
+      invitation.invitedBy = userId;
+      invitation.role = role;
+      await invitation.renew().save();
+
+      res.status(201).json({
+        success: true,
+        message: inviteUser
+          ? `Invited ${inviteUser.username} as ${role}`
+          : `Invited ${inviteEmail} as ${role} - they can accept once they register`,
+        data: {
+          invitation: {
+            id: invitation._id,
+            email: invitation.email,
+            role: invitation.role,
+            status: invitation.status,
+            expiresAt: invitation.expiresAt,
+            isRegistered: !!inviteUser
+          },
+          inviteUrl: `${process.env.FRONTEND_URL}/invitations/${invitation.token}`
+        }
+      });
+
     } catch (error) {
       console.error('Add collaborator error:', error);
       res.status(500).json({
         success: false,
-        message: 'Failed to add collaborator',
+        message: 'Failed to invite collaborator',
         error: process.env.NODE_ENV === 'development' ? error.message : undefined
       });
     }
@@ -632,6 +1013,252 @@ class WorkspaceController {
       });
     }
   }
+
+  // Offer the workspace to an admin collaborator (owner only)
+  async requestOwnershipTransfer(req, res) {
+    try {
+      const { workspaceId } = req.params;
+      const { collaboratorId } = req.body;
+      const userId = req.user.id;
+
+      if (!collaboratorId) {
+        return res.status(400).json({
+          success: false,
+          message: 'Collaborator ID is required'
+        });
+      }
+
+      const workspace = await Workspace.findOne({
+        _id: workspaceId,
+        user: userId,
+        isTrashed: false
+      });
+
+      if (!workspace) {
+        return res.status(404).json({
+          success: false,
+          message: 'Workspace not found'
+        });
+      }
+
+      if (workspace.isDefault) {
+        return res.status(400).json({
+          success: false,
+          message: 'Cannot transfer default workspace'
+        });
+      }
+
+      try {
+        await workspace.requestOwnershipTransfer(collaboratorId);
+      } catch (transferError) {
+        if (transferError.message.includes('not found')) {
+          return res.status(404).json({
+            success: false,
+            message: 'Collaborator not found'
+          });
+        }
+        if (transferError.message.includes('admin collaborator')) {
+          return res.status(400).json({
+            success: false,
+            message: transferError.message
+          });
+        }
+        throw transferError;
+      }
+
+      res.json({
+        success: true,
+        message: 'Ownership transfer requested - the collaborator has to confirm it',
+        data: {
+          ownershipTransfer: workspace.ownershipTransfer
+        }
+      });
+
+    } catch (error) {
+      console.error('Request ownership transfer error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to request ownership transfer',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // Withdraw a pending ownership transfer (owner only)
+  async cancelOwnershipTransfer(req, res) {
+    try {
+      const { workspaceId } = req.params;
+      const userId = req.user.id;
+
+      const workspace = await Workspace.findOne({
+        _id: workspaceId,
+        user: userId
+      });
+
+      if (!workspace || !workspace.ownershipTransfer?.to) {
+        return res.status(404).json({
+          success: false,
+          message: 'No ownership transfer pending'
+        });
+      }
+
+      workspace.ownershipTransfer = undefined;
+      await workspace.save();
+
+      res.json({
+        success: true,
+        message: 'Ownership transfer cancelled'
+      });
+
+    } catch (error) {
+      console.error('Cancel ownership transfer error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to cancel ownership transfer',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // Confirm a transfer offered to me and become the owner
+  async acceptOwnershipTransfer(req, res) {
+    try {
+      const { workspaceId } = req.params;
+      const userId = req.user.id;
+
+      const workspace = await Workspace.findOne({
+        _id: workspaceId,
+        'ownershipTransfer.to': userId,
+        isTrashed: false
+      });
+
+      if (!workspace) {
+        return res.status(404).json({
+          success: false,
+          message: 'No ownership transfer pending'
+        });
+      }
+
+      // The offer lapses if the collaborator was demoted since
+      const collaborator = workspace.collaborators.find(c => c.user.toString() === userId);
+      if (!collaborator || collaborator.role !== 'admin') {
+        workspace.ownershipTransfer = undefined;
+        await workspace.save();
+
+        return res.status(403).json({
+          success: false,
+          message: 'Only admin collaborators can take over a workspace'
+        });
+      }
+
+      const previousOwnerId = workspace.user;
+      await workspace.completeOwnershipTransfer();
+
+      // Keep each user's list of owned workspaces in step
+      await User.findByIdAndUpdate(previousOwnerId, {
+        $pull: { workspaces: workspace._id }
+      });
+      await User.findByIdAndUpdate(userId, {
+        $addToSet: { workspaces: workspace._id }
+      });
+
+      const updatedWorkspace = await Workspace.findById(workspaceId)
+        .populate('user', 'username email avatar')
+        .populate('collaborators.user', 'username email avatar');
+
+      res.json({
+        success: true,
+        message: `You are now the owner of ${workspace.name}`,
+        data: updatedWorkspace
+      });
+
+    } catch (error) {
+      console.error('Accept ownership transfer error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to accept ownership transfer',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // Turn down a transfer offered to me
+  async declineOwnershipTransfer(req, res) {
+    try {
+      const { workspaceId } = req.params;
+      const userId = req.user.id;
+
+      const workspace = await Workspace.findOne({
+        _id: workspaceId,
+        'ownershipTransfer.to': userId
+      });
+
+      if (!workspace) {
+        return res.status(404).json({
+          success: false,
+          message: 'No ownership transfer pending'
+        });
+      }
+
+      workspace.ownershipTransfer = undefined;
+      await workspace.save();
+
+      res.json({
+        success: true,
+        message: 'Ownership transfer declined'
+      });
+
+    } catch (error) {
+      console.error('Decline ownership transfer error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to decline ownership transfer',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // Leave a workspace I collaborate on
+  async leaveWorkspace(req, res) {
+    try {
+      const { workspaceId } = req.params;
+      const userId = req.user.id;
+
+      const workspace = await Workspace.findOne({
+        _id: workspaceId,
+        $or: [{ user: userId }, { 'collaborators.user': userId }]
+      });
+
+      if (!workspace) {
+        return res.status(404).json({
+          success: false,
+          message: 'Workspace not found'
+        });
+      }
+
+      if (workspace.user.toString() === userId) {
+        return res.status(400).json({
+          success: false,
+          message: 'Owners cannot leave their workspace - transfer ownership or delete it instead'
+        });
+      }
+
+      await workspace.removeCollaborator(userId);
+
+      res.json({
+        success: true,
+        message: `You left ${workspace.name}`
+      });
+
+    } catch (error) {
+      console.error('Leave workspace error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to leave workspace',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
 }
 
 export default new WorkspaceController();
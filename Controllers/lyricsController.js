@@ -1,8 +1,23 @@
-import sunoApi from '../Config/SunoApi.js';
-import Song from '../Models/Song.js';
-import User from '../Models/User.js';
+import { sunoApi } from '../Config/SunoApi.js';
 import { CREDIT_COSTS } from '../Utils/Constants.js';
-
+import {
+  reserveCredits,
+  attachTask,
+  settleReservation,
+  settleTaskCredits,
+  refundReservation,
+  refundFailedTask
+} from '../Services/CreditLedger.js';
+import { enqueueJob, resolveJobByTask } from '../Services/JobQueue.js';
+import { parseAudioCallback } from '../Services/AudioProcessingService.js';
+import { getAccessibleSong } from '../Services/Authorization.js';
+import { withCallbackToken } from '../Utils/WebhookSignature.js';
+
+// Send an authorization failure (404/403) as a normal response
+const sendAccessError = (res, error) => res.status(error.status).json({
+  success: false,
+  message: error.message
+});
 
 
 class LyricsController {
@@ -13,8 +28,7 @@ class LyricsController {
         prompt,
         tags = '',
         style = '',
-        theme = '',
-        callback_url
+        theme = ''
       } = req.body;
 
       const userId = req.user.id;
@@ -28,14 +42,24 @@ class LyricsController {
         });
       }
 
-      // Check user credits
-      const user = await User.findById(userId);
-      if (user.credits < creditCost) {
-        return res.status(400).json({
+      // Signed callback URL so the webhook can prove which task it belongs to
+      const callback = withCallbackToken(`${process.env.BACKEND_URL}/api/lyrics/callback`);
+
+      // Reserve credits before calling Suno
+      let reservation;
+      try {
+        reservation = await reserveCredits({
+          user: userId,
+          amount: creditCost,
+          feature: 'lyrics',
+          description: 'Lyrics generation'
+        });
+      } catch (creditError) {
+        return res.status(creditError.status || 500).json({
           success: false,
-          message: `Insufficient credits. You need at least ${creditCost} credits.`,
-          required: creditCost,
-          available: user.credits
+          message: creditError.message,
+          required: creditError.required,
+          available: creditError.available
         });
       }
 
@@ -45,20 +69,27 @@ class LyricsController {
         tags: tags.trim(),
         style: style.trim(),
         theme: theme.trim(),
-        callback_url: callback_url || `${process.env.BACKEND_URL}/api/lyrics/callback`
+        callback_url: callback.url
       };
 
       try {
         const sunoResponse = await sunoApi.generateLyrics(sunoParams);
 
-        // Deduct credits
-        await user.deductCredits(creditCost);
+        await attachTask(reservation, { taskId: sunoResponse.taskId });
+
+        // Track the task so its credits are refunded if it fails or never finishes
+        await enqueueJob({
+          taskId: sunoResponse.taskId,
+          type: 'lyrics',
+          user: userId,
+          callbackToken: callback.token
+        });
 
         res.status(201).json({
           success: true,
           message: 'Lyrics generation started successfully',
           data: {
-            taskId: sunoResponse.id,
+            taskId: sunoResponse.taskId,
             status: sunoResponse.status || 'pending',
             creditsUsed: creditCost,
             estimatedTime: '30-60 seconds'
@@ -67,6 +98,7 @@ class LyricsController {
 
       } catch (apiError) {
         console.error('Suno API lyrics error:', apiError);
+        await refundReservation(reservation._id, `Suno request failed: ${apiError.message}`);
         throw apiError;
       }
 
@@ -109,62 +141,84 @@ class LyricsController {
     }
   }
 
-  // Get Timestamped Lyrics
+  // Get Timestamped Lyrics - Suno answers synchronously, so the charge settles or refunds right here
   async getTimestampedLyrics(req, res) {
     try {
-      const {
-        audio_url,
-        callback_url
-      } = req.body;
+      const { song_id } = req.body;
 
       const userId = req.user.id;
       const creditCost = CREDIT_COSTS.TIMESTAMPED_LYRICS;
 
-      if (!audio_url) {
+      if (!song_id) {
         return res.status(400).json({
           success: false,
-          message: 'Audio URL is required'
+          message: 'Song ID is required'
         });
       }
 
-      const user = await User.findById(userId);
-      if (user.credits < creditCost) {
+      let song;
+      try {
+        ({ song } = await getAccessibleSong(song_id, { user: req.user, action: 'view' }));
+      } catch (accessError) {
+        if (!accessError.status) throw accessError;
+        return sendAccessError(res, accessError);
+      }
+
+      if (!song.sunoTaskId || !song.sunoAudioId) {
         return res.status(400).json({
           success: false,
-          message: `Insufficient credits. You need at least ${creditCost} credits.`
+          message: 'Only completed Suno songs have timestamped lyrics'
         });
       }
 
-      const sunoParams = {
-        audio_url,
-        callback_url: callback_url || `${process.env.BACKEND_URL}/api/lyrics/timestamped-callback`
-      };
-
+      let reservation;
       try {
-        const sunoResponse = await sunoApi.getTimestampedLyrics(sunoParams);
-
-        await user.deductCredits(creditCost);
-
-        res.json({
-          success: true,
-          message: 'Timestamped lyrics generation started',
-          data: {
-            taskId: sunoResponse.id,
-            status: sunoResponse.status || 'pending',
-            creditsUsed: creditCost
-          }
+        reservation = await reserveCredits({
+          user: userId,
+          amount: creditCost,
+          feature: 'timestamped_lyrics',
+          song: song._id,
+          description: `Timestamped lyrics: ${song.title}`
+        });
+      } catch (creditError) {
+        return res.status(creditError.status || 500).json({
+          success: false,
+          message: creditError.message,
+          required: creditError.required,
+          available: creditError.available
         });
+      }
 
+      let sunoResponse;
+      try {
+        sunoResponse = await sunoApi.getTimestampedLyrics({
+          task_id: song.sunoTaskId,
+          audio_id: song.sunoAudioId
+        });
       } catch (apiError) {
         console.error('Timestamped lyrics API error:', apiError);
+        await refundReservation(reservation._id, `Suno request failed: ${apiError.message}`);
         throw apiError;
       }
 
+      await settleReservation(reservation._id);
+
+      res.json({
+        success: true,
+        message: 'Timestamped lyrics retrieved successfully',
+        data: {
+          songId: song._id,
+          alignedWords: sunoResponse.alignedWords,
+          waveformData: sunoResponse.waveformData,
+          creditsUsed: creditCost
+        }
+      });
+
     } catch (error) {
       console.error('Get timestamped lyrics error:', error);
       res.status(500).json({
         success: false,
-        message: error.message || 'Failed to start timestamped lyrics generation',
+        message: error.message || 'Failed to get timestamped lyrics',
         error: process.env.NODE_ENV === 'development' ? error.message : undefined
       });
     }
@@ -174,56 +228,33 @@ class LyricsController {
   async lyricsCallback(req, res) {
     try {
       const callbackData = req.body;
-      
+      const result = parseAudioCallback(callbackData);
+
       console.log('Lyrics generation callback received:', callbackData);
 
       // Handle lyrics generation completion
-      if (callbackData.status === 'completed' && callbackData.text) {
+      if (result.success && (result.clips.length > 0 || callbackData.text)) {
         console.log('Lyrics generated successfully:', {
-          taskId: callbackData.id,
-          length: callbackData.text.length
+          taskId: result.taskId,
+          variations: result.clips.length || 1
         });
-      } else if (callbackData.status === 'failed') {
+
+        await settleTaskCredits(result.taskId);
+        await resolveJobByTask(result.taskId, 'completed');
+      } else if (result.success === false) {
         console.log('Lyrics generation failed:', {
-          taskId: callbackData.id,
-          error: callbackData.error_message
+          taskId: result.taskId,
+          error: result.errorMessage
         });
-      }
-
-      res.json({ success: true });
-
-    } catch (error) {
-      console.error('Lyrics callback error:', error);
-      res.status(500).json({ 
-        success: false,
-        message: error.message 
-      });
-    }
-  }
-
-  // Timestamped Lyrics Callback
-  async timestampedLyricsCallback(req, res) {
-    try {
-      const callbackData = req.body;
-      
-      console.log('Timestamped lyrics callback received:', callbackData);
 
-      if (callbackData.status === 'completed') {
-        console.log('Timestamped lyrics generated successfully:', {
-          taskId: callbackData.id,
-          segments: callbackData.segments?.length || 0
-        });
-      } else if (callbackData.status === 'failed') {
-        console.log('Timestamped lyrics generation failed:', {
-          taskId: callbackData.id,
-          error: callbackData.error_message
-        });
+        await refundFailedTask(result.taskId, { type: 'lyrics', reason: result.errorMessage });
+        await resolveJobByTask(result.taskId, 'failed', result.errorMessage);
       }
 
       res.json({ success: true });
 
     } catch (error) {
-      console.error('Timestamped lyrics callback error:', error);
+      console.error('Lyrics callback error:', error);
       res.status(500).json({ 
         success: false,
         message: error.message 
@@ -236,7 +267,6 @@ class LyricsController {
     try {
       const { songId } = req.params;
       const { lyrics, timestampedLyrics } = req.body;
-      const userId = req.user.id;
 
       if (!lyrics && !timestampedLyrics) {
         return res.status(400).json({
@@ -245,12 +275,12 @@ class LyricsController {
         });
       }
 
-      const song = await Song.findOne({ _id: songId, user: userId });
-      if (!song) {
-        return res.status(404).json({
-          success: false,
-          message: 'Song not found'
-        });
+      let song;
+      try {
+        ({ song } = await getAccessibleSong(songId, { user: req.user, action: 'edit' }));
+      } catch (accessError) {
+        if (!accessError.status) throw accessError;
+        return sendAccessError(res, accessError);
       }
 
       // Update song with lyrics
@@ -47,4 +47,23 @@ const auth = async (req, res, next) => {
     }
 };
 
+// Attach the user when a valid token is sent, but let anonymous requests through
+export const optionalAuth = async (req, res, next) => {
+    try {
+        const token = req.header('Authorization')?.replace('Bearer ', '');
+        if (!token) return next();
+
+        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        const user = await User.findById(decoded.id)
+            .select('-password -emailVerificationToken -passwordResetToken');
+
+        if (user) req.user = user;
+        next();
+
+    } catch (error) {
+        // An invalid token is treated like no token at all
+        next();
+    }
+};
+
 export default auth;
@@ -0,0 +1,34 @@
+// Middleware/Authorize.js
+import { getAccessibleSong } from '../Services/Authorization.js';
+
+// Load :songId and require the signed-in user to be allowed the action on it.
+// The song and the resolved access are passed on as req.song and req.songAccess.
+export const authorizeSong = (action, param = 'songId') => async (req, res, next) => {
+    try {
+        const { song, access } = await getAccessibleSong(req.params[param], {
+            user: req.user,
+            action
+        });
+
+        req.song = song;
+        req.songAccess = access;
+        next();
+
+    } catch (error) {
+        if (error.status && error.status < 500) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        console.error('Song authorization error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to check song permissions',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+export default authorizeSong;
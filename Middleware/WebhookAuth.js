@@ -0,0 +1,136 @@
+// Middleware/WebhookAuth.js
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import Song from '../Models/Song.js';
+import SunoJob from '../Models/SunoJob.js';
+import WebhookEvent from '../Models/WebhookEvent.js';
+import { WEBHOOK } from '../Utils/Constants.js';
+import {
+    hashToken,
+    safeEqual,
+    verifyCallbackToken,
+    verifyWebhookSignature
+} from '../Utils/WebhookSignature.js';
+
+// Pull the Suno task ID out of any of the callback shapes we receive
+const extractTaskId = (body = {}) => {
+    const data = body.data && typeof body.data === 'object' && !Array.isArray(body.data)
+        ? body.data
+        : {};
+
+    return data.task_id || data.taskId || body.task_id || body.taskId || body.id;
+};
+
+// Verify Suno callbacks by HMAC header or per-task URL token, and reject replays
+const verifyWebhook = async (req, res, next) => {
+    try {
+        const rawBody = req.rawBody ? req.rawBody.toString('utf8') : JSON.stringify(req.body || {});
+        const signature = req.get(WEBHOOK.SIGNATURE_HEADER);
+        const token = req.query[WEBHOOK.TOKEN_PARAM];
+
+        let taskId = extractTaskId(req.body);
+
+        // A callback addressed to a song is bound to that song's task, whatever the body claims
+        if (req.params.songId) {
+            const song = mongoose.isValidObjectId(req.params.songId)
+                ? await Song.findById(req.params.songId).select('sunoTaskId sunoTaskIds')
+                : null;
+
+            if (!song?.sunoTaskId) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'No Suno task found for this song'
+                });
+            }
+
+            const songTaskIds = [song.sunoTaskId, ...song.sunoTaskIds.map(task => task.taskId)];
+            if (taskId && !songTaskIds.includes(taskId)) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Webhook task does not match this song'
+                });
+            }
+
+            taskId = taskId || song.sunoTaskId;
+        }
+
+        let mode;
+
+        if (signature) {
+            const result = verifyWebhookSignature(rawBody, signature, req.get(WEBHOOK.TIMESTAMP_HEADER));
+            if (!result.valid) {
+                return res.status(401).json({
+                    success: false,
+                    message: result.reason
+                });
+            }
+            mode = 'signature';
+
+        } else if (token) {
+            if (!verifyCallbackToken(token)) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Invalid webhook token'
+                });
+            }
+
+            // The token must be the one issued for this task - fail closed when there is nothing to check it against
+            const job = taskId ? await SunoJob.findOne({ taskId }).select('+callbackTokenHash') : null;
+            if (!job?.callbackTokenHash || !safeEqual(job.callbackTokenHash, hashToken(token))) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Webhook token does not match this task'
+                });
+            }
+            mode = 'token';
+
+        } else {
+            return res.status(401).json({
+                success: false,
+                message: 'Webhook authentication required'
+            });
+        }
+
+        // Replay protection
+        const eventId = req.get(WEBHOOK.EVENT_ID_HEADER) ||
+            crypto.createHash('sha256').update(`${req.baseUrl}${req.path}:${rawBody}`).digest('hex');
+
+        try {
+            await WebhookEvent.create({
+                eventId,
+                route: `${req.baseUrl}${req.path}`,
+                taskId,
+                mode
+            });
+        } catch (error) {
+            if (error.code === 11000) {
+                console.warn(`🔁 Rejected replayed webhook ${eventId}`);
+                return res.status(409).json({
+                    success: false,
+                    message: 'Webhook event has already been processed'
+                });
+            }
+            throw error;
+        }
+
+        // Let the sender retry if processing fails
+        res.on('finish', () => {
+            if (res.statusCode >= 500) {
+                WebhookEvent.deleteOne({ eventId }).catch(() => null);
+            }
+        });
+
+        req.webhook = { mode, eventId, taskId };
+        next();
+
+    } catch (error) {
+        console.error('Webhook verification error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to verify webhook',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+export default verifyWebhook;
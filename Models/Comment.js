@@ -0,0 +1,87 @@
+import mongoose from 'mongoose';
+
+const commentSchema = new mongoose.Schema({
+  song: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Song',
+    required: [true, 'Song is required'],
+    index: true
+  },
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    index: true
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Author is required'],
+    index: true
+  },
+  // Replies always point at the top-level comment of their thread
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null
+  },
+  body: {
+    type: String,
+    required: [true, 'Comment cannot be empty'],
+    trim: true,
+    maxlength: [2000, 'Comment cannot exceed 2000 characters']
+  },
+  // Position in the track the comment refers to, in seconds
+  timestamp: {
+    type: Number,
+    min: [0, 'Timestamp cannot be negative'],
+    default: null
+  },
+  // How the author reached the song when commenting
+  accessType: {
+    type: String,
+    enum: ['owner', 'collaborator', 'share'],
+    default: 'owner'
+  },
+  status: {
+    type: String,
+    enum: ['visible', 'hidden', 'deleted'],
+    default: 'visible',
+    index: true
+  },
+  editedAt: Date,
+  moderatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  moderatedAt: Date,
+  moderationReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Moderation reason cannot exceed 500 characters']
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+commentSchema.index({ song: 1, parent: 1, createdAt: 1 });
+commentSchema.index({ song: 1, timestamp: 1 });
+
+// Virtual for the timestamp as M:SS
+commentSchema.virtual('formattedTimestamp').get(function () {
+  if (this.timestamp === null || this.timestamp === undefined) return null;
+
+  const minutes = Math.floor(this.timestamp / 60);
+  const seconds = Math.floor(this.timestamp % 60);
+  return `${minutes}:${seconds.toString().padStart(2, '0')}`;
+});
+
+// Instance method to check authorship
+commentSchema.methods.isAuthor = function (userId) {
+  const authorId = this.author?._id || this.author;
+  return !!userId && authorId.toString() === userId.toString();
+};
+
+export default mongoose.model('Comment', commentSchema);
@@ -0,0 +1,87 @@
+import mongoose from 'mongoose';
+
+const creditTransactionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required'],
+    index: true
+  },
+  type: {
+    type: String,
+    enum: ['usage', 'refund', 'purchase', 'bonus', 'adjustment'],
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['reserved', 'settled', 'refunded', 'completed'],
+    default: 'completed'
+  },
+  // Signed amount: negative for spending, positive for credits added
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required']
+  },
+  balanceAfter: {
+    type: Number,
+    min: [0, 'Balance cannot be negative']
+  },
+  feature: {
+    type: String,
+    enum: [
+      'generate', 'extend', 'cover', 'lyrics', 'timestamped_lyrics', 'wav', 'separate',
+      'boost', 'instrumental', 'vocals', 'video', 'purchase', 'upgrade', 'manual'
+    ]
+  },
+  song: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Song',
+    default: null
+  },
+  taskId: {
+    type: String,
+    trim: true,
+    index: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Description cannot exceed 300 characters']
+  },
+  relatedTransaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CreditTransaction',
+    default: null
+  },
+  refundReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Refund reason cannot exceed 500 characters']
+  },
+  settledAt: Date,
+  refundedAt: Date,
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+creditTransactionSchema.index({ user: 1, createdAt: -1 });
+creditTransactionSchema.index({ user: 1, type: 1, createdAt: -1 });
+// A usage row can only ever be refunded once
+creditTransactionSchema.index(
+  { relatedTransaction: 1 },
+  { unique: true, partialFilterExpression: { type: 'refund' } }
+);
+
+// Virtual for the absolute number of credits moved
+creditTransactionSchema.virtual('credits').get(function () {
+  return Math.abs(this.amount);
+});
+
+export default mongoose.model('CreditTransaction', creditTransactionSchema);
@@ -0,0 +1,113 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+
+const INVITATION_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+const invitationSchema = new mongoose.Schema({
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    required: [true, 'Workspace is required'],
+    index: true
+  },
+  // Invites can go to an email that has not registered yet
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    lowercase: true,
+    trim: true,
+    index: true
+  },
+  // Set once the email belongs to a registered user
+  invitee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+    index: true
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Inviter is required']
+  },
+  role: {
+    type: String,
+    enum: ['viewer', 'editor', 'admin'],
+    default: 'viewer'
+  },
+  token: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'declined', 'expired'],
+    default: 'pending',
+    index: true
+  },
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + INVITATION_TTL_MS)
+  },
+  respondedAt: Date
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+invitationSchema.index({ workspace: 1, email: 1, status: 1 });
+
+// Virtual for whether the invite can still be answered
+invitationSchema.virtual('isExpired').get(function () {
+  return !!this.expiresAt && this.expiresAt <= new Date();
+});
+
+// Instance method to check the invite is addressed to a user
+invitationSchema.methods.isFor = function (user) {
+  const inviteeId = this.invitee?._id || this.invitee;
+  if (inviteeId && inviteeId.toString() === (user._id || user.id).toString()) {
+    return true;
+  }
+  return !!user.email && this.email === user.email.toLowerCase();
+};
+
+// Instance method to record the invitee's answer
+invitationSchema.methods.respond = function (status, userId) {
+  this.status = status;
+  this.respondedAt = new Date();
+  if (userId) this.invitee = userId;
+  return this.save();
+};
+
+// Instance method to issue a new token and push the expiry back, e.g. when re-inviting
+invitationSchema.methods.renew = function () {
+  this.token = this.constructor.generateToken();
+  this.expiresAt = new Date(Date.now() + INVITATION_TTL_MS);
+  return this;
+};
+
+// Static method to create a fresh invite token
+invitationSchema.statics.generateToken = function () {
+  return crypto.randomBytes(32).toString('hex');
+};
+
+// Static method to mark pending invites past their expiry as expired
+invitationSchema.statics.expireStale = function (filter = {}) {
+  return this.updateMany(
+    { ...filter, status: 'pending', expiresAt: { $lte: new Date() } },
+    { $set: { status: 'expired' } }
+  );
+};
+
+// Static method to link invites sent to an email before its owner registered
+invitationSchema.statics.attachToUser = function (user) {
+  return this.updateMany(
+    { email: user.email.toLowerCase(), invitee: null, status: 'pending' },
+    { $set: { invitee: user._id } }
+  );
+};
+
+export default mongoose.model('Invitation', invitationSchema);
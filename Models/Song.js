@@ -149,6 +149,16 @@ const songSchema = new mongoose.Schema({
       message: 'Thumbnail URL must be a valid URL'
     }
   },
+  // Keys of the files we hold in storage. Stored files are served through the song's own
+  // endpoints, so the URL fields above only keep remote links for files we do not hold
+  storageKeys: {
+    audio: { type: String },
+    wav: { type: String },
+    vocal: { type: String },
+    instrumental: { type: String },
+    cover: { type: String },
+    video: { type: String }
+  },
   originalAudioUrl: {
     type: String,
     trim: true,
@@ -195,10 +205,15 @@ const songSchema = new mongoose.Schema({
     trim: true,
     sparse: true
   },
+  sunoAudioId: {
+    type: String, // Suno clip ID of the generated audio
+    trim: true,
+    sparse: true
+  },
   sunoTaskIds: [{
     type: {
       type: String,
-      enum: ['generate', 'extend', 'cover', 'lyrics', 'wav', 'separate', 'video', 'boost'],
+      enum: ['generate', 'extend', 'cover', 'lyrics', 'wav', 'separate', 'video', 'boost', 'instrumental', 'vocals'],
       required: true
     },
     taskId: {
@@ -247,6 +262,39 @@ const songSchema = new mongoose.Schema({
     trim: true,
     maxlength: [50, 'Error code cannot exceed 50 characters']
   },
+  // The Suno request the song was generated from, kept so it can be regenerated
+  generationParams: {
+    prompt: String,
+    lyrics: String,
+    style: String,
+    title: String,
+    negativeTags: String,
+    vocalGender: {
+      type: String,
+      enum: ['m', 'f']
+    },
+    styleWeight: {
+      type: Number,
+      min: [0, 'Style weight must be between 0 and 1'],
+      max: [1, 'Style weight must be between 0 and 1']
+    },
+    weirdnessConstraint: {
+      type: Number,
+      min: [0, 'Weirdness constraint must be between 0 and 1'],
+      max: [1, 'Weirdness constraint must be between 0 and 1']
+    },
+    audioWeight: {
+      type: Number,
+      min: [0, 'Audio weight must be between 0 and 1'],
+      max: [1, 'Audio weight must be between 0 and 1']
+    },
+    model: {
+      type: String,
+      enum: ['v3_5', 'v4', 'v4_5']
+    },
+    instrumental: Boolean,
+    customMode: Boolean
+  },
   retryCount: {
     type: Number,
     default: 0,
@@ -277,11 +325,28 @@ const songSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Song'
   }],
+  // Extra clips Suno returns for the same task are stored as variants of the primary song
+  variantOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Song',
+    default: null
+  },
+  variantIndex: {
+    type: Number,
+    default: 0,
+    min: [0, 'Variant index cannot be negative']
+  },
   version: {
     type: Number,
     default: 1,
     min: [1, 'Version must be at least 1']
   },
+  // How this version was made from its parentSong
+  derivationType: {
+    type: String,
+    enum: ['original', 'extend', 'cover', 'instrumental', 'vocals', 'regenerate'],
+    default: 'original'
+  },
   isPublic: {
     type: Boolean,
     default: false
@@ -331,6 +396,10 @@ const songSchema = new mongoose.Schema({
       enum: ['viewer', 'editor', 'owner'],
       default: 'viewer'
     },
+    addedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
     addedAt: {
       type: Date,
       default: Date.now
@@ -358,6 +427,10 @@ const songSchema = new mongoose.Schema({
       canView: {
         type: Boolean,
         default: true
+      },
+      canComment: {
+        type: Boolean,
+        default: false
       }
     }
   },
@@ -369,10 +442,26 @@ const songSchema = new mongoose.Schema({
   }
 }, {
   timestamps: true,
-  toJSON: { virtuals: true },
+  toJSON: {
+    virtuals: true,
+    transform: (doc, ret) => Object.assign(ret, doc.getAssetUrls())
+  },
   toObject: { virtuals: true }
 });
 
+// URL fields, the stored file behind each and the song endpoint that serves it
+const ASSET_ENDPOINTS = {
+  audioUrl: { kind: 'audio', path: 'stream' },
+  wavUrl: { kind: 'wav', path: 'stream?format=wav' },
+  vocalUrl: { kind: 'vocal', path: 'stream?format=vocal' },
+  instrumentalUrl: { kind: 'instrumental', path: 'stream?format=instrumental' },
+  videoUrl: { kind: 'video', path: 'stream?format=video' },
+  coverUrl: { kind: 'cover', path: 'cover' }
+};
+
+// Songs from before the storage backend link their mp3 under /generated-music until it is migrated
+const LEGACY_AUDIO_URL = /\/generated-music\//;
+
 // Indexes
 songSchema.index({ user: 1, createdAt: -1 });
 songSchema.index({ workspace: 1, createdAt: -1 });
@@ -384,6 +473,13 @@ songSchema.index({ isPublic: 1, createdAt: -1 });
 songSchema.index({ modelVersion: 1, status: 1 });
 songSchema.index({ styleTags: 1 });
 songSchema.index({ title: 'text', description: 'text', lyrics: 'text' });
+songSchema.index({ 'sharing.shareToken': 1 }, { unique: true, sparse: true });
+songSchema.index({ 'collaborators.user': 1 });
+songSchema.index({ parentSong: 1, createdAt: 1 });
+songSchema.index(
+  { variantOf: 1, variantIndex: 1 },
+  { unique: true, partialFilterExpression: { variantOf: { $type: 'objectId' } } }
+);
 
 // Virtual for formatted duration
 songSchema.virtual('formattedDuration').get(function () {
@@ -469,17 +565,35 @@ songSchema.methods.updateSunoTaskStatus = function (taskId, status) {
   return Promise.resolve(this);
 };
 
-// Instance method to increment play count
-songSchema.methods.incrementPlayCount = function () {
+// Instance method to increment play count (atomic, so concurrent plays are all counted)
+songSchema.methods.incrementPlayCount = async function () {
   this.playCount += 1;
   this.lastPlayedAt = new Date();
-  return this.save();
+  await this.constructor.updateOne(
+    { _id: this._id },
+    { $inc: { playCount: 1 }, $set: { lastPlayedAt: this.lastPlayedAt } }
+  );
+  return this;
 };
 
 // Instance method to increment download count
-songSchema.methods.incrementDownloadCount = function () {
+songSchema.methods.incrementDownloadCount = async function () {
   this.downloadCount += 1;
-  return this.save();
+  await this.constructor.updateOne({ _id: this._id }, { $inc: { downloadCount: 1 } });
+  return this;
+};
+
+// Instance method to get the song's file URLs - stored files go through the song's endpoints,
+// which check access and count plays, so no link that could expire is ever saved
+songSchema.methods.getAssetUrls = function () {
+  const songUrl = `${process.env.BACKEND_URL}/api/songs/${this._id}`;
+
+  const isLegacyAudio = LEGACY_AUDIO_URL.test(this.audioUrl || '');
+
+  return Object.fromEntries(Object.entries(ASSET_ENDPOINTS).map(([field, { kind, path }]) => [
+    field,
+    this.storageKeys?.[kind] || (kind === 'audio' && isLegacyAudio) ? `${songUrl}/${path}` : this[field]
+  ]));
 };
 
 // Instance method to toggle favorite
@@ -488,6 +602,49 @@ songSchema.methods.toggleFavorite = function () {
   return this.save();
 };
 
+const collaboratorError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Instance method to give a user access to this song alone
+songSchema.methods.addCollaborator = function (userId, role = 'viewer', addedBy = null) {
+  if (this.user.toString() === userId.toString()) {
+    throw collaboratorError('The song owner cannot be added as a collaborator', 400);
+  }
+
+  if (this.collaborators.some(c => c.user?.toString() === userId.toString())) {
+    throw collaboratorError('User is already a collaborator on this song', 400);
+  }
+
+  this.collaborators.push({ user: userId, role, addedBy, addedAt: new Date() });
+  return this.save();
+};
+
+// Instance method to change a collaborator's role
+songSchema.methods.updateCollaboratorRole = function (userId, role) {
+  const collaborator = this.collaborators.find(c => c.user?.toString() === userId.toString());
+  if (!collaborator) {
+    throw collaboratorError('Collaborator not found', 404);
+  }
+
+  collaborator.role = role;
+  return this.save();
+};
+
+// Instance method to take a collaborator off the song
+songSchema.methods.removeCollaborator = function (userId) {
+  const count = this.collaborators.length;
+  this.collaborators = this.collaborators.filter(c => c.user?.toString() !== userId.toString());
+
+  if (this.collaborators.length === count) {
+    throw collaboratorError('Collaborator not found', 404);
+  }
+
+  return this.save();
+};
+
 // Static method to get user's song stats
 songSchema.statics.getUserStats = async function (userId) {
   const stats = await this.aggregate([
@@ -0,0 +1,91 @@
+import mongoose from 'mongoose';
+import { SUNO_POLLING } from '../Utils/Constants.js';
+
+const sunoJobSchema = new mongoose.Schema({
+  taskId: {
+    type: String,
+    required: [true, 'Task ID is required'],
+    trim: true,
+    unique: true
+  },
+  type: {
+    type: String,
+    enum: ['generate', 'extend', 'cover', 'lyrics', 'wav', 'separate', 'video', 'boost', 'instrumental', 'vocals'],
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'completed', 'failed', 'timeout'],
+    default: 'pending',
+    index: true
+  },
+  song: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Song',
+    index: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    index: true
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+    min: [0, 'Attempts cannot be negative']
+  },
+  nextPollAt: {
+    type: Date,
+    default: () => new Date(Date.now() + SUNO_POLLING.INITIAL_DELAY_MS)
+  },
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + SUNO_POLLING.TIMEOUT_MS)
+  },
+  lockedUntil: Date,
+  lastPolledAt: Date,
+  lastSunoStatus: {
+    type: String,
+    trim: true
+  },
+  lastError: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Error message cannot exceed 500 characters']
+  },
+  resolvedBy: {
+    type: String,
+    enum: ['webhook', 'poller', 'cancel']
+  },
+  resolvedAt: Date,
+  // Hash of the token embedded in the task's callBackUrl
+  callbackTokenHash: {
+    type: String,
+    select: false
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+sunoJobSchema.index({ status: 1, nextPollAt: 1 });
+
+// Static method to get the delay before the next poll
+sunoJobSchema.statics.getBackoffDelay = function (attempts) {
+  const schedule = SUNO_POLLING.BACKOFF_MS;
+  return schedule[Math.min(attempts, schedule.length - 1)];
+};
+
+// Instance method to close the job
+sunoJobSchema.methods.resolve = function (status, resolvedBy, errorMessage = null) {
+  this.status = status;
+  this.resolvedBy = resolvedBy;
+  this.resolvedAt = new Date();
+  this.lockedUntil = undefined;
+  if (errorMessage) {
+    this.lastError = errorMessage.substring(0, 500);
+  }
+  return this.save();
+};
+
+export default mongoose.model('SunoJob', sunoJobSchema);
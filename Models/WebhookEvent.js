@@ -0,0 +1,33 @@
+import mongoose from 'mongoose';
+import { WEBHOOK } from '../Utils/Constants.js';
+
+// Processed webhook deliveries, kept long enough to reject replays
+const webhookEventSchema = new mongoose.Schema({
+  eventId: {
+    type: String,
+    required: [true, 'Event ID is required'],
+    trim: true,
+    unique: true
+  },
+  route: {
+    type: String,
+    trim: true
+  },
+  taskId: {
+    type: String,
+    trim: true,
+    index: true
+  },
+  mode: {
+    type: String,
+    enum: ['token', 'signature'],
+    required: true
+  },
+  receivedAt: {
+    type: Date,
+    default: Date.now,
+    expires: WEBHOOK.EVENT_RETENTION_S
+  }
+});
+
+export default mongoose.model('WebhookEvent', webhookEventSchema);
@@ -114,6 +114,14 @@ const workspaceSchema = new mongoose.Schema({
         joinedAt: Date,
         lastAccessedAt: Date
     }],
+    // Pending hand-over to an admin collaborator, who has to confirm it
+    ownershipTransfer: {
+        to: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        requestedAt: Date
+    },
     settings: {
         autoSave: {
             type: Boolean,
@@ -153,6 +161,33 @@ const workspaceSchema = new mongoose.Schema({
         trim: true,
         maxlength: [30, 'Tag cannot exceed 30 characters']
     }],
+    // Saved generation prompts; copied along when the workspace is used as a template
+    promptPresets: [{
+        name: {
+            type: String,
+            required: [true, 'Preset name is required'],
+            trim: true,
+            maxlength: [100, 'Preset name cannot exceed 100 characters']
+        },
+        prompt: {
+            type: String,
+            trim: true,
+            maxlength: [2000, 'Preset prompt cannot exceed 2000 characters']
+        },
+        tags: {
+            type: String,
+            trim: true,
+            maxlength: [200, 'Preset tags cannot exceed 200 characters']
+        },
+        modelVersion: {
+            type: String,
+            enum: ['v3_5', 'v4', 'v4_5']
+        },
+        isInstrumental: {
+            type: Boolean,
+            default: false
+        }
+    }],
     stats: {
         totalSongs: {
             type: Number,
@@ -329,8 +364,8 @@ workspaceSchema.methods.removeSong = async function (songId) {
     return this;
 };
 
-// Instance method to add collaborator
-workspaceSchema.methods.addCollaborator = function (userId, role = 'viewer', invitedBy = null) {
+// Instance method to add collaborator (called once they accept an invitation)
+workspaceSchema.methods.addCollaborator = function (userId, role = 'viewer', invitedBy = null, invitedAt = new Date()) {
     // Check if user is already a collaborator
     const existingCollaborator = this.collaborators.find(
         c => c.user.toString() === userId.toString()
@@ -347,7 +382,8 @@ workspaceSchema.methods.addCollaborator = function (userId, role = 'viewer', inv
         role,
         permissions,
         invitedBy,
-        invitedAt: new Date()
+        invitedAt,
+        joinedAt: new Date()
     });
 
     return this.save();
@@ -358,6 +394,9 @@ workspaceSchema.methods.removeCollaborator = function (userId) {
     this.collaborators = this.collaborators.filter(
         c => c.user.toString() !== userId.toString()
     );
+    if (this.isTransferPendingTo(userId)) {
+        this.ownershipTransfer = undefined;
+    }
     return this.save();
 };
 
@@ -374,6 +413,64 @@ workspaceSchema.methods.updateCollaboratorRole = function (userId, newRole) {
     collaborator.role = newRole;
     collaborator.permissions = this.getDefaultPermissions(newRole);
 
+    // Only admins can be handed the workspace
+    if (newRole !== 'admin' && this.isTransferPendingTo(userId)) {
+        this.ownershipTransfer = undefined;
+    }
+
+    return this.save();
+};
+
+// Instance method to check for a pending ownership transfer to a user
+workspaceSchema.methods.isTransferPendingTo = function (userId) {
+    const to = this.ownershipTransfer?.to;
+    return !!to && !!userId && to.toString() === userId.toString();
+};
+
+// Instance method to offer the workspace to an admin collaborator
+workspaceSchema.methods.requestOwnershipTransfer = function (userId) {
+    const collaborator = this.collaborators.find(
+        c => c.user.toString() === userId.toString()
+    );
+
+    if (!collaborator) {
+        throw new Error('Collaborator not found');
+    }
+
+    if (collaborator.role !== 'admin') {
+        throw new Error('Ownership can only be transferred to an admin collaborator');
+    }
+
+    this.ownershipTransfer = { to: collaborator.user, requestedAt: new Date() };
+    return this.save();
+};
+
+// Instance method to complete a confirmed transfer; the previous owner stays on as an admin
+workspaceSchema.methods.completeOwnershipTransfer = function () {
+    const newOwnerId = this.ownershipTransfer?.to;
+    if (!newOwnerId) {
+        throw new Error('No ownership transfer pending');
+    }
+
+    const previousOwnerId = this.user;
+
+    this.collaborators = this.collaborators.filter(
+        c => c.user.toString() !== newOwnerId.toString()
+    );
+    this.collaborators.push({
+        user: previousOwnerId,
+        role: 'admin',
+        permissions: this.getDefaultPermissions('admin'),
+        invitedBy: newOwnerId,
+        invitedAt: new Date(),
+        joinedAt: new Date()
+    });
+
+    this.user = newOwnerId;
+    // A default workspace belongs to its original owner
+    this.isDefault = false;
+    this.ownershipTransfer = undefined;
+
     return this.save();
 };
 
@@ -492,16 +589,48 @@ workspaceSchema.statics.findByUser = function (userId, includeShared = true) {
         .sort({ isDefault: -1, createdAt: -1 });
 };
 
-// Static method to find public templates
-workspaceSchema.statics.findPublicTemplates = function (limit = 20) {
-    return this.find({
+// Query for public templates, optionally filtered by a search term or tag
+const publicTemplateQuery = ({ search, tag } = {}) => {
+    const query = {
         'template.isTemplate': true,
         'template.isPublicTemplate': true,
         isTrashed: false
-    })
-        .select('name description template.templateName template.templateDescription template.templateTags template.usageCount createdAt')
-        .sort({ 'template.usageCount': -1, createdAt: -1 })
+    };
+
+    if (tag) query['template.templateTags'] = tag;
+
+    // A repeated ?search= arrives as an array, so match it as text
+    if (search) {
+        const pattern = new RegExp(String(search).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+        query.$or = [
+            { name: pattern },
+            { description: pattern },
+            { 'template.templateName': pattern },
+            { 'template.templateDescription': pattern },
+            { 'template.templateTags': pattern }
+        ];
+    }
+
+    return query;
+};
+
+// Static method to find public templates
+workspaceSchema.statics.findPublicTemplates = function ({ search, tag, sort = 'popular', limit = 20, skip = 0 } = {}) {
+    const sortOrder = sort === 'newest'
+        ? { createdAt: -1 }
+        : { 'template.usageCount': -1, createdAt: -1 };
+
+    return this.find(publicTemplateQuery({ search, tag }))
+        .select('name description color icon tags settings promptPresets template.templateName template.templateDescription template.templateTags template.usageCount user createdAt')
+        .populate('user', 'username avatar')
+        .sort(sortOrder)
+        .skip(skip)
         .limit(limit);
 };
 
+// Static method to count public templates matching the same filters
+workspaceSchema.statics.countPublicTemplates = function ({ search, tag } = {}) {
+    return this.countDocuments(publicTemplateQuery({ search, tag }));
+};
+
 export default mongoose.model('Workspace', workspaceSchema);
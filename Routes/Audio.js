@@ -1,6 +1,7 @@
 import express from 'express';
 import audioController from '../Controllers/AudioController.js';
 import auth from '../Middleware/Auth.js';
+import verifyWebhook from '../Middleware/WebhookAuth.js';
 
 const router = express.Router();
 
@@ -16,10 +17,10 @@ router.post('/add-vocals', auth, audioController.addVocals);
 router.get('/details/:type/:taskId', auth, audioController.getProcessingDetails);
 
 // Callback Routes
-router.post('/wav-callback', audioController.wavCallback);
-router.post('/separate-callback', audioController.separateCallback);
-router.post('/boost-callback', audioController.boostCallback);
-router.post('/instrumental-callback', audioController.instrumentalCallback);
-router.post('/vocals-callback', audioController.vocalsCallback);
+router.post('/wav-callback', verifyWebhook, audioController.wavCallback);
+router.post('/separate-callback', verifyWebhook, audioController.separateCallback);
+router.post('/boost-callback', verifyWebhook, audioController.boostCallback);
+router.post('/instrumental-callback', verifyWebhook, audioController.instrumentalCallback);
+router.post('/vocals-callback', verifyWebhook, audioController.vocalsCallback);
 
 export default router;
@@ -0,0 +1,15 @@
+import express from 'express';
+import commentController from '../Controllers/CommentController.js';
+import auth from '../Middleware/Auth.js';
+
+const router = express.Router();
+
+// Comment Routes (listing and posting live under /api/songs/:songId/comments)
+router.patch('/:commentId', auth, commentController.updateComment);
+router.delete('/:commentId', auth, commentController.deleteComment);
+
+// Moderation
+router.post('/:commentId/hide', auth, commentController.hideComment);
+router.post('/:commentId/unhide', auth, commentController.unhideComment);
+
+export default router;
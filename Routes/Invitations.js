@@ -0,0 +1,13 @@
+import express from 'express';
+import invitationController from '../Controllers/InvitationController.js';
+import auth from '../Middleware/Auth.js';
+
+const router = express.Router();
+
+// Invitation Routes (invites are sent from /api/workspaces/:workspaceId/collaborators)
+router.get('/', auth, invitationController.getMyInvitations);
+router.get('/:token', auth, invitationController.getInvitation);
+router.post('/:token/accept', auth, invitationController.acceptInvitation);
+router.post('/:token/decline', auth, invitationController.declineInvitation);
+
+export default router;
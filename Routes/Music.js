@@ -2,6 +2,7 @@
 import express from 'express';
 import musicController from '../Controllers/MusicController.js';
 import auth from '../Middleware/Auth.js';
+import verifyWebhook from '../Middleware/WebhookAuth.js';
 
 const router = express.Router();
 
@@ -16,9 +17,9 @@ router.get('/status/:songId', auth, musicController.checkSongStatus);
 router.get('/details/:songId', auth, musicController.getMusicDetails);
 router.get('/user-songs', auth, musicController.getUserSongs);
 
-// Callback Routes (no auth needed for webhooks)
-router.post('/callback/:songId', musicController.musicGenerationCallback);
-router.post('/extend-callback/:songId', musicController.musicGenerationCallback);
-router.post('/cover-callback/:songId', musicController.musicGenerationCallback);
+// Callback Routes (verified by webhook token or signature instead of user auth)
+router.post('/callback/:songId', verifyWebhook, musicController.musicGenerationCallback);
+router.post('/extend-callback/:songId', verifyWebhook, musicController.musicGenerationCallback);
+router.post('/cover-callback/:songId', verifyWebhook, musicController.musicGenerationCallback);
 
 export default router;
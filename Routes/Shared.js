@@ -0,0 +1,11 @@
+import express from 'express';
+import sharedController from '../Controllers/SharedController.js';
+import { optionalAuth } from '../Middleware/Auth.js';
+
+const router = express.Router();
+
+// Public share links (no login - the token is the credential)
+router.get('/songs/:token', sharedController.getSharedSong);
+router.get('/workspaces/:token', optionalAuth, sharedController.getSharedWorkspace);
+
+export default router;
@@ -1,7 +1,46 @@
 import { Router } from 'express';
+import songController from '../Controllers/SongController.js';
+import commentController from '../Controllers/CommentController.js';
+import musicController from '../Controllers/MusicController.js';
+import auth, { optionalAuth } from '../Middleware/Auth.js';
+import { authorizeSong } from '../Middleware/Authorize.js';
 
 const router = Router();
 
+// Song Library Routes (workspace and song collaborators get the access their roles allow)
+router.get('/', auth, songController.getSongs);
+router.get('/:songId', auth, authorizeSong('view'), songController.getSong);
+router.patch('/:songId', auth, authorizeSong('edit'), songController.updateSong);
+router.delete('/:songId', auth, authorizeSong('delete'), songController.deleteSong);
+router.get('/:songId/lineage', auth, authorizeSong('view'), songController.getLineage);
+router.post('/:songId/regenerate', auth, authorizeSong('edit'), musicController.regenerateSong);
 
+router.post('/:songId/favorite', auth, authorizeSong('edit'), songController.toggleFavorite);
+router.post('/:songId/archive', auth, authorizeSong('edit'), songController.archiveSong);
+router.post('/:songId/unarchive', auth, authorizeSong('edit'), songController.unarchiveSong);
+router.put('/:songId/rating', auth, authorizeSong('edit'), songController.rateSong);
+router.put('/:songId/notes', auth, authorizeSong('edit'), songController.updateNotes);
+router.put('/:songId/tags', auth, authorizeSong('edit'), songController.updateTags);
+router.patch('/:songId/tags', auth, authorizeSong('edit'), songController.updateTags);
+
+// Share Link Routes
+router.post('/:songId/share', auth, authorizeSong('edit'), songController.shareSong);
+router.post('/:songId/share/rotate', auth, authorizeSong('edit'), songController.rotateShareLink);
+router.delete('/:songId/share', auth, authorizeSong('edit'), songController.revokeShareLink);
+
+// Song Collaborators (access to one song without its workspace)
+router.get('/:songId/collaborators', auth, authorizeSong('view'), songController.getCollaborators);
+router.post('/:songId/collaborators', auth, authorizeSong('manage'), songController.addCollaborator);
+router.put('/:songId/collaborators/:collaboratorId/role', auth, authorizeSong('manage'), songController.updateCollaboratorRole);
+router.delete('/:songId/collaborators/:collaboratorId', auth, authorizeSong('view'), songController.removeCollaborator);
+
+// Comments (share visitors pass ?token= and need a link that allows comments)
+router.get('/:songId/comments', optionalAuth, commentController.getComments);
+router.post('/:songId/comments', auth, commentController.createComment);
+
+// Playback and downloads (owner, collaborator or ?token= share link)
+router.get('/:songId/stream', optionalAuth, songController.streamSong);
+router.get('/:songId/cover', optionalAuth, songController.getCover);
+router.get('/:songId/download', optionalAuth, songController.downloadSong);
 
 export default router;
@@ -0,0 +1,82 @@
+import express from 'express';
+import { getStorage, getContentType } from '../Services/Storage/index.js';
+import { parseRange } from '../Utils/Helpers.js';
+
+const router = express.Router();
+
+// Serve files held by the local storage driver through signed URLs
+router.get('/*key', async (req, res) => {
+    try {
+        const storage = getStorage();
+        const key = [].concat(req.params.key).join('/');
+        const { expires, signature } = req.query;
+
+        // S3 hands out its own presigned URLs
+        if (storage.name !== 'local') {
+            return res.status(404).json({
+                success: false,
+                message: 'File not found'
+            });
+        }
+
+        if (!storage.verifySignature(key, expires, signature)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Invalid or expired file link'
+            });
+        }
+
+        const stats = await storage.stat(key);
+        if (!stats) {
+            return res.status(404).json({
+                success: false,
+                message: 'File not found'
+            });
+        }
+
+        const range = parseRange(req.get('range'), stats.size);
+        if (range === false) {
+            return res.status(416).set('Content-Range', `bytes */${stats.size}`).end();
+        }
+
+        res.set({
+            'Content-Type': getContentType(key),
+            'Accept-Ranges': 'bytes',
+            'Cache-Control': 'private, max-age=3600'
+        });
+
+        if (range) {
+            res.status(206).set({
+                'Content-Range': `bytes ${range.start}-${range.end}/${stats.size}`,
+                'Content-Length': range.end - range.start + 1
+            });
+        } else {
+            res.set('Content-Length', stats.size);
+        }
+
+        const { stream } = await storage.get(key, { range: range || undefined });
+
+        stream.on('error', (error) => {
+            console.error('Storage stream error:', error);
+            res.destroy(error);
+        });
+        stream.pipe(res);
+
+    } catch (error) {
+        if (error.status === 404 || error.status === 400) {
+            return res.status(404).json({
+                success: false,
+                message: 'File not found'
+            });
+        }
+
+        console.error('Storage file error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to read file',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+export default router;
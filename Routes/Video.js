@@ -1,6 +1,7 @@
 import express from 'express';
 import videoController from '../Controllers/VideoController.js';
 import auth from '../Middleware/Auth.js';
+import verifyWebhook from '../Middleware/WebhookAuth.js';
 
 const router = express.Router();
 
@@ -11,6 +12,6 @@ router.get('/styles', auth, videoController.getVideoStyles);
 router.post('/apply/:songId', auth, videoController.applyVideoToSong);
 
 // Callback Routes
-router.post('/callback', videoController.videoCallback);
+router.post('/callback', verifyWebhook, videoController.videoCallback);
 
 export default router;
@@ -4,6 +4,10 @@ import auth from '../Middleware/Auth.js';
 
 const router = express.Router();
 
+// Template Gallery (before /:workspaceId so "templates" is not read as an ID)
+router.get('/templates', auth, workspaceController.getTemplates);
+router.post('/templates/:templateId/use', auth, workspaceController.useTemplate);
+
 // Workspace CRUD
 router.get('/', auth, workspaceController.getUserWorkspaces);
 router.get('/:workspaceId', auth, workspaceController.getWorkspaceDetails);
@@ -18,10 +22,23 @@ router.delete('/permanent/:workspaceId', auth, workspaceController.permanentDele
 
 // Sharing
 router.post('/:workspaceId/share', auth, workspaceController.shareWorkspace);
+router.post('/:workspaceId/share/rotate', auth, workspaceController.rotateShareLink);
+router.delete('/:workspaceId/share', auth, workspaceController.revokeShareLink);
+
+// Templates
+router.put('/:workspaceId/template', auth, workspaceController.updateTemplate);
+router.delete('/:workspaceId/template', auth, workspaceController.removeTemplate);
 
 // Collaboration
 router.post('/:workspaceId/collaborators', auth, workspaceController.addCollaborator);
 router.delete('/:workspaceId/collaborators/:collaboratorId', auth, workspaceController.removeCollaborator);
 router.put('/:workspaceId/collaborators/:collaboratorId/role', auth, workspaceController.updateCollaboratorRole);
+router.post('/:workspaceId/leave', auth, workspaceController.leaveWorkspace);
+
+// Ownership Transfer
+router.post('/:workspaceId/transfer', auth, workspaceController.requestOwnershipTransfer);
+router.delete('/:workspaceId/transfer', auth, workspaceController.cancelOwnershipTransfer);
+router.post('/:workspaceId/transfer/accept', auth, workspaceController.acceptOwnershipTransfer);
+router.post('/:workspaceId/transfer/decline', auth, workspaceController.declineOwnershipTransfer);
 
 export default router;
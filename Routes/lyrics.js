@@ -1,6 +1,7 @@
 import express from 'express';
 import lyricsController from '../Controllers/lyricsController.js';
 import auth from '../Middleware/Auth.js';
+import verifyWebhook from '../Middleware/WebhookAuth.js';
 
 const router = express.Router();
 
@@ -10,7 +11,6 @@ router.post('/timestamped', auth, lyricsController.getTimestampedLyrics);
 router.get('/details/:taskId', auth, lyricsController.getLyricsDetails);
 
 // Callback Routes
-router.post('/callback', lyricsController.lyricsCallback);
-router.post('/timestamped-callback', lyricsController.timestampedLyricsCallback);
+router.post('/callback', verifyWebhook, lyricsController.lyricsCallback);
 
 export default router;
@@ -0,0 +1,148 @@
+import Song from '../Models/Song.js';
+import { settleTaskCredits, refundFailedTask } from './CreditLedger.js';
+import { storeSongAsset } from './Storage/index.js';
+
+// Normalise an audio-processing callback - Suno wraps results in { code, msg, data }
+export const parseAudioCallback = (body = {}) => {
+    const data = body.data && typeof body.data === 'object' && !Array.isArray(body.data)
+        ? body.data
+        : body;
+    const separation = data.vocal_removal_info || data.vocalRemovalInfo || {};
+
+    let success = null;
+    if (body.code !== undefined) {
+        success = body.code === 200;
+    } else if (body.status === 'completed') {
+        success = true;
+    } else if (body.status === 'failed') {
+        success = false;
+    }
+
+    return {
+        taskId: data.task_id || data.taskId || body.task_id || body.id,
+        success,
+        callbackType: data.callbackType,
+        errorMessage: body.msg || body.error_message || data.errorMessage,
+        wavUrl: data.audio_wav_url || data.audioWavUrl || body.wav_url,
+        vocalUrl: separation.vocal_url || separation.vocalUrl || body.vocal_url,
+        instrumentalUrl: separation.instrumental_url || separation.instrumentalUrl || body.instrumental_url,
+        videoUrl: data.video_url || data.videoUrl || body.video_url,
+        style: data.result || body.style,
+        clips: Array.isArray(data.data) ? data.data : []
+    };
+};
+
+// Find the song an audio-processing task was registered on
+export const findSongByAudioTask = (taskId) => {
+    return Song.findOne({ 'sunoTaskIds.taskId': taskId });
+};
+
+const getTask = (song, taskId) => song.sunoTaskIds.find(t => t.taskId === taskId);
+
+const isTaskResolved = (song, taskId) => {
+    const task = getTask(song, taskId);
+    return task ? ['completed', 'failed'].includes(task.status) : false;
+};
+
+const setTaskStatus = (song, taskId, status) => {
+    const task = getTask(song, taskId);
+    if (task) task.status = status;
+};
+
+// Copy a result file into storage, keeping Suno's URL only if that fails
+const storeResult = async (song, kind, remoteUrl, extension) => {
+    try {
+        await storeSongAsset(song, kind, remoteUrl, extension);
+        return undefined;
+    } catch (error) {
+        console.error(`❌ Failed to store ${kind} for song ${song._id}:`, error.message);
+        return remoteUrl;
+    }
+};
+
+// Store a finished WAV conversion on the song
+export const applyWavResult = async (song, taskId, { wavUrl }) => {
+    if (isTaskResolved(song, taskId)) return song;
+
+    song.wavUrl = await storeResult(song, 'wav', wavUrl, 'wav');
+    setTaskStatus(song, taskId, 'completed');
+
+    await settleTaskCredits(taskId);
+
+    return song.addLog('info', 'WAV conversion completed', { taskId, wavUrl });
+};
+
+// Store finished vocal/instrumental stems on the song
+export const applySeparationResult = async (song, taskId, { vocalUrl, instrumentalUrl }) => {
+    if (isTaskResolved(song, taskId)) return song;
+
+    if (vocalUrl) song.vocalUrl = await storeResult(song, 'vocal', vocalUrl, 'mp3');
+    if (instrumentalUrl) song.instrumentalUrl = await storeResult(song, 'instrumental', instrumentalUrl, 'mp3');
+    setTaskStatus(song, taskId, 'completed');
+
+    await settleTaskCredits(taskId);
+
+    return song.addLog('info', 'Vocal separation completed', { taskId, vocalUrl, instrumentalUrl });
+};
+
+// Store a finished music video on the song
+export const applyVideoResult = async (song, taskId, { videoUrl }) => {
+    if (isTaskResolved(song, taskId)) return song;
+
+    song.videoUrl = await storeResult(song, 'video', videoUrl, 'mp4');
+    setTaskStatus(song, taskId, 'completed');
+
+    await settleTaskCredits(taskId);
+
+    return song.addLog('info', 'Music video completed', { taskId, videoUrl });
+};
+
+// Store a boosted style description on the song
+export const applyBoostResult = async (song, taskId, { style }) => {
+    if (isTaskResolved(song, taskId)) return song;
+
+    song.metadata = { ...song.metadata, boostedStyle: style };
+    setTaskStatus(song, taskId, 'completed');
+
+    await settleTaskCredits(taskId);
+
+    return song.addLog('info', 'Music style boosted', { taskId, style });
+};
+
+// Record a failed audio-processing task without failing the song itself
+export const failAudioTask = async (song, taskId, errorMessage, { outcome = 'failed' } = {}) => {
+    if (isTaskResolved(song, taskId)) return song;
+
+    const task = getTask(song, taskId);
+    setTaskStatus(song, taskId, 'failed');
+
+    await song.addLog('error', `${task?.type || 'Audio'} processing failed`, {
+        taskId,
+        error: errorMessage || 'Processing failed'
+    });
+
+    const refunds = await refundFailedTask(taskId, {
+        type: task?.type || 'audio',
+        outcome,
+        reason: errorMessage
+    });
+
+    if (refunds.length > 0) {
+        await song.addLog('info', 'Credits refunded', {
+            taskId,
+            credits: refunds.reduce((sum, refund) => sum + refund.amount, 0)
+        });
+    }
+
+    return song;
+};
+
+export default {
+    parseAudioCallback,
+    findSongByAudioTask,
+    applyWavResult,
+    applySeparationResult,
+    applyVideoResult,
+    applyBoostResult,
+    failAudioTask
+};
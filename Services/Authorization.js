@@ -0,0 +1,224 @@
+import mongoose from 'mongoose';
+import Song from '../Models/Song.js';
+import Workspace from '../Models/Workspace.js';
+import { safeEqual } from '../Utils/WebhookSignature.js';
+
+// Access flags checked for each song action
+const SONG_ACTIONS = {
+    view: 'canView',
+    play: 'canPlay',
+    download: 'canDownload',
+    comment: 'canComment',
+    edit: 'canEdit',
+    delete: 'canDelete',
+    moderate: 'canModerate',
+    manage: 'canManageCollaborators'
+};
+
+const FULL_ACCESS = {
+    canView: true,
+    canPlay: true,
+    canDownload: true,
+    canComment: true,
+    canEdit: true,
+    canDelete: true,
+    canModerate: true,
+    canManageCollaborators: true
+};
+
+const accessError = (message, status) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+};
+
+// Does this share token open the song right now?
+export const isShareTokenValid = (song, token) => {
+    const sharing = song.sharing || {};
+
+    return !!(
+        token &&
+        sharing.isShared &&
+        sharing.shareToken &&
+        safeEqual(sharing.shareToken, token) &&
+        (!sharing.shareExpiresAt || sharing.shareExpiresAt > new Date())
+    );
+};
+
+// Resolve a share link to its song, or null if the link is unknown, revoked or expired
+export const findSongByShareToken = async (token) => {
+    if (!token || typeof token !== 'string') return null;
+
+    const song = await Song.findOne({ 'sharing.shareToken': token, 'sharing.isShared': true });
+    return song && isShareTokenValid(song, token) ? song : null;
+};
+
+// Does this workspace share link work right now? Links that are not public need a signed-in visitor
+export const isWorkspaceShareValid = (workspace, { user } = {}) => {
+    const settings = workspace.shareSettings || {};
+
+    return !!(
+        workspace.isShared &&
+        !workspace.isTrashed &&
+        workspace.shareToken &&
+        (!settings.expiresAt || settings.expiresAt > new Date()) &&
+        (settings.isPublic || user)
+    );
+};
+
+// Resolve a workspace share link, or null if it is unknown, revoked or expired
+export const findWorkspaceByShareToken = async (token, { user } = {}) => {
+    if (!token || typeof token !== 'string') return null;
+
+    const workspace = await Workspace.findOne({ shareToken: token, isShared: true, isTrashed: false });
+    return workspace && isWorkspaceShareValid(workspace, { user }) ? workspace : null;
+};
+
+// Work out how the requester may reach a song - as its owner, a collaborator or a share visitor -
+// and what that lets them do
+export const resolveSongAccess = async (song, { user, shareToken } = {}) => {
+    const userId = user?._id || user?.id;
+
+    if (userId) {
+        if (song.user.toString() === userId.toString()) {
+            return { type: 'owner', role: 'owner', ...FULL_ACCESS };
+        }
+
+        const workspace = song.workspace
+            ? await Workspace.findOne({
+                _id: song.workspace,
+                $or: [{ user: userId }, { 'collaborators.user': userId }]
+            }).select('user collaborators')
+            : null;
+
+        // The workspace owner controls every song in it, whoever generated it
+        if (workspace && workspace.user.toString() === userId.toString()) {
+            return { type: 'collaborator', role: 'owner', ...FULL_ACCESS };
+        }
+
+        const workspaceCollaborator = workspace?.collaborators.find(c => c.user.toString() === userId.toString());
+        const songCollaborator = song.collaborators?.find(c => c.user?.toString() === userId.toString());
+
+        if (songCollaborator || workspaceCollaborator) {
+            const permissions = workspaceCollaborator?.permissions || {};
+            const songRole = songCollaborator?.role;
+
+            return {
+                type: 'collaborator',
+                role: songRole || workspaceCollaborator.role,
+                canView: true,
+                canPlay: true,
+                canDownload: true,
+                canComment: true,
+                canEdit: !!permissions.canEditSongs || ['editor', 'owner'].includes(songRole),
+                canDelete: !!permissions.canDeleteSongs || songRole === 'owner',
+                // Workspace admins moderate discussion on every song in it
+                canModerate: workspaceCollaborator?.role === 'admin' || !!permissions.canManageWorkspace || songRole === 'owner',
+                canManageCollaborators: !!permissions.canManageWorkspace || songRole === 'owner'
+            };
+        }
+    }
+
+    if (isShareTokenValid(song, shareToken)) {
+        const permissions = song.sharing.sharePermissions || {};
+        return {
+            type: 'share',
+            canView: permissions.canView !== false,
+            canPlay: permissions.canPlay !== false,
+            canDownload: !!permissions.canDownload,
+            canComment: !!permissions.canComment,
+            canEdit: false,
+            canDelete: false,
+            canModerate: false,
+            canManageCollaborators: false
+        };
+    }
+
+    // A workspace share link opens every song in that workspace
+    if (shareToken && song.workspace) {
+        const workspace = await findWorkspaceByShareToken(shareToken, { user });
+        if (workspace && workspace._id.equals(song.workspace)) {
+            return {
+                type: 'share',
+                canView: true,
+                canPlay: true,
+                canDownload: !!workspace.shareSettings?.allowDownloads,
+                canComment: !!workspace.shareSettings?.allowComments,
+                canEdit: false,
+                canDelete: false,
+                canModerate: false,
+                canManageCollaborators: false
+            };
+        }
+    }
+
+    return null;
+};
+
+// Share visitors pass the song's share token instead of logging in
+export const getRequestShareToken = (req) => req.query.token || req.get('x-share-token');
+
+// Load a song and check the requester may perform an action on it (view, play, download, edit...)
+export const getAccessibleSong = async (songId, { user, shareToken, action = 'play' } = {}) => {
+    const song = mongoose.isValidObjectId(songId) ? await Song.findById(songId) : null;
+    if (!song) {
+        throw accessError('Song not found', 404);
+    }
+
+    const access = await resolveSongAccess(song, { user, shareToken });
+
+    // Hide songs the requester cannot see at all
+    if (!access) {
+        throw accessError('Song not found', 404);
+    }
+
+    if (!access[SONG_ACTIONS[action]]) {
+        throw accessError(`You do not have permission to ${action} this song`, 403);
+    }
+
+    return { song, access };
+};
+
+// Find a workspace the user may use with the given collaborator permission
+// (the owner has every permission; null only requires membership).
+// Without an ID the user's default workspace is used.
+export const getAuthorizedWorkspace = async (workspaceId, user, permission = 'canCreateSongs') => {
+    const userId = user?._id || user?.id || user;
+
+    if (!workspaceId) {
+        const defaultWorkspace = await Workspace.findOne({ user: userId, isDefault: true, isTrashed: false });
+        if (!defaultWorkspace) {
+            throw accessError('Workspace not found', 404);
+        }
+        return defaultWorkspace;
+    }
+
+    const workspace = mongoose.isValidObjectId(workspaceId)
+        ? await Workspace.findOne({
+            _id: workspaceId,
+            isTrashed: false,
+            $or: [{ user: userId }, { 'collaborators.user': userId }]
+        })
+        : null;
+
+    if (!workspace) {
+        throw accessError('Workspace not found', 404);
+    }
+
+    if (permission && !workspace.hasPermission(userId, permission)) {
+        throw accessError('You do not have permission to do that in this workspace', 403);
+    }
+
+    return workspace;
+};
+
+export default {
+    isShareTokenValid,
+    findSongByShareToken,
+    isWorkspaceShareValid,
+    findWorkspaceByShareToken,
+    resolveSongAccess,
+    getRequestShareToken,
+    getAccessibleSong,
+    getAuthorizedWorkspace
+};
@@ -0,0 +1,276 @@
+import User from '../Models/User.js';
+import CreditTransaction from '../Models/CreditTransaction.js';
+
+const insufficientCreditsError = (required, available) => {
+    const error = new Error(`Insufficient credits. You need at least ${required} credits.`);
+    error.status = 400;
+    error.code = 'INSUFFICIENT_CREDITS';
+    error.required = required;
+    error.available = available;
+    return error;
+};
+
+// Atomically take credits from the user and record a pending usage row
+export const reserveCredits = async ({ user, amount, feature, song = null, description, metadata = {} }) => {
+    const updated = await User.findOneAndUpdate(
+        { _id: user, credits: { $gte: amount } },
+        { $inc: { credits: -amount, totalCreditsUsed: amount } },
+        { new: true }
+    );
+
+    if (!updated) {
+        const current = await User.findById(user).select('credits');
+        throw insufficientCreditsError(amount, current?.credits ?? 0);
+    }
+
+    try {
+        return await CreditTransaction.create({
+            user,
+            type: 'usage',
+            status: 'reserved',
+            amount: -amount,
+            balanceAfter: updated.credits,
+            feature,
+            song,
+            description,
+            metadata
+        });
+    } catch (error) {
+        // Never keep credits we could not account for
+        await User.updateOne({ _id: user }, { $inc: { credits: amount, totalCreditsUsed: -amount } });
+        throw error;
+    }
+};
+
+// Link a reservation to the Suno task (and song) it paid for
+export const attachTask = (reservation, { taskId, song }) => {
+    const update = { taskId };
+    if (song) update.song = song;
+
+    return CreditTransaction.updateOne({ _id: reservation._id || reservation }, { $set: update });
+};
+
+// Mark a reservation as spent
+export const settleReservation = (reservationId) => {
+    return CreditTransaction.updateOne(
+        { _id: reservationId, type: 'usage', status: 'reserved' },
+        { $set: { status: 'settled', settledAt: new Date() } }
+    );
+};
+
+// Mark every reservation paid for a task as spent
+export const settleTaskCredits = (taskId) => {
+    if (!taskId) return null;
+
+    return CreditTransaction.updateMany(
+        { taskId, type: 'usage', status: 'reserved' },
+        { $set: { status: 'settled', settledAt: new Date() } }
+    );
+};
+
+// Return a reservation's credits - safe to call more than once
+export const refundReservation = async (reservationId, reason = 'Refunded') => {
+    const original = await CreditTransaction.findOneAndUpdate(
+        { _id: reservationId, type: 'usage', status: { $in: ['reserved', 'settled'] } },
+        { $set: { status: 'refunded', refundedAt: new Date(), refundReason: reason } },
+        { new: true }
+    );
+
+    // Already refunded (or never a usage row)
+    if (!original) return null;
+
+    const amount = Math.abs(original.amount);
+    const updated = await User.findByIdAndUpdate(
+        original.user,
+        { $inc: { credits: amount, totalCreditsUsed: -amount } },
+        { new: true }
+    );
+
+    return CreditTransaction.create({
+        user: original.user,
+        type: 'refund',
+        status: 'completed',
+        amount,
+        balanceAfter: updated?.credits,
+        feature: original.feature,
+        song: original.song,
+        taskId: original.taskId,
+        relatedTransaction: original._id,
+        description: `Refund: ${original.description || original.feature}`,
+        refundReason: reason
+    });
+};
+
+// Move a song's unrefunded generation charge onto a retry of it, so the retry is paid for by the original.
+// The charge is reserved again at the retry's cost - a dearer retry reserves the difference and a cheaper
+// one returns the surplus - and it settles if the retry succeeds or is refunded if it fails.
+export const transferSongCharge = async ({ song, user, amount, description }) => {
+    const charge = await CreditTransaction.findOne({
+        song,
+        user,
+        type: 'usage',
+        feature: 'generate',
+        status: { $in: ['reserved', 'settled'] }
+    }).sort({ createdAt: -1 });
+
+    if (!charge) return null;
+
+    const difference = amount - Math.abs(charge.amount);
+
+    // Reserve the difference first, so a user who cannot afford it keeps the charge where it was
+    const topUp = difference > 0
+        ? await reserveCredits({ user, amount: difference, feature: 'generate', description })
+        : null;
+
+    const transferred = await CreditTransaction.findOneAndUpdate(
+        { _id: charge._id, amount: charge.amount, status: { $in: ['reserved', 'settled'] } },
+        {
+            $set: { status: 'reserved', song: null, ...(difference < 0 && { amount: -amount }) },
+            $unset: { taskId: 1, settledAt: 1 }
+        },
+        { new: true }
+    );
+
+    // Another request moved or refunded the charge first
+    if (!transferred) {
+        if (topUp) await refundReservation(topUp._id, 'Song charge was no longer available');
+        return null;
+    }
+
+    if (difference < 0) {
+        const surplus = -difference;
+        const updated = await User.findByIdAndUpdate(
+            user,
+            { $inc: { credits: surplus, totalCreditsUsed: -surplus } },
+            { new: true }
+        );
+
+        // An adjustment, not a refund, so the charge itself can still be refunded once
+        await CreditTransaction.create({
+            user,
+            type: 'adjustment',
+            status: 'completed',
+            amount: surplus,
+            balanceAfter: updated?.credits,
+            feature: 'generate',
+            relatedTransaction: transferred._id,
+            description: `Cheaper retry: ${description || 'generate'}`.substring(0, 300)
+        });
+    }
+
+    return {
+        reservations: [transferred, topUp].filter(Boolean),
+        charged: Math.max(difference, 0),
+        returned: Math.max(-difference, 0)
+    };
+};
+
+// Refund every reservation paid for a task (only the unsettled ones with includeSettled: false)
+export const refundTaskCredits = async (taskId, reason, { includeSettled = true } = {}) => {
+    if (!taskId) return [];
+
+    const reservations = await CreditTransaction.find({
+        taskId,
+        type: 'usage',
+        status: { $in: includeSettled ? ['reserved', 'settled'] : ['reserved'] }
+    }).select('_id');
+
+    const refunds = await Promise.all(
+        reservations.map(reservation => refundReservation(reservation._id, reason))
+    );
+
+    return refunds.filter(Boolean);
+};
+
+// Return credits still held for a task that will never deliver, e.g. because its song was deleted.
+// A charge that already settled stays spent.
+export const releaseTaskReservations = async (taskId, reason) => {
+    const refunds = await refundTaskCredits(taskId, reason.substring(0, 500), { includeSettled: false });
+
+    if (refunds.length > 0) {
+        const total = refunds.reduce((sum, refund) => sum + refund.amount, 0);
+        console.log(`💸 Released ${total} reserved credits for task ${taskId}`);
+    }
+
+    return refunds;
+};
+
+// Refund policy: any Suno task that fails or times out gets its credits back, once per task
+export const refundFailedTask = async (taskId, { type = 'task', outcome = 'failed', reason } = {}) => {
+    const label = outcome === 'timeout' ? 'timed out' : 'failed';
+    const refunds = await refundTaskCredits(taskId, `Suno ${type} task ${label}${reason ? `: ${reason}` : ''}`.substring(0, 500));
+
+    if (refunds.length > 0) {
+        const total = refunds.reduce((sum, refund) => sum + refund.amount, 0);
+        console.log(`💸 Refunded ${total} credits for ${label} ${type} task ${taskId}`);
+    }
+
+    return refunds;
+};
+
+// Add credits to a user (purchases, bonuses, manual adjustments)
+export const grantCredits = async ({ user, amount, type = 'purchase', feature = type, description, metadata = {} }) => {
+    const updated = await User.findByIdAndUpdate(
+        user,
+        { $inc: { credits: amount } },
+        { new: true }
+    );
+
+    if (!updated) {
+        const error = new Error('User not found');
+        error.status = 404;
+        throw error;
+    }
+
+    const transaction = await CreditTransaction.create({
+        user,
+        type,
+        status: 'completed',
+        amount,
+        balanceAfter: updated.credits,
+        feature,
+        description,
+        metadata
+    });
+
+    return { user: updated, transaction };
+};
+
+// Paginated ledger rows for a user
+export const getCreditHistory = async (userId, { page = 1, limit = 50, type, feature, startDate, endDate } = {}) => {
+    const query = { user: userId };
+
+    if (type) query.type = type;
+    if (feature) query.feature = feature;
+
+    if (startDate || endDate) {
+        query.createdAt = {};
+        if (startDate) query.createdAt.$gte = new Date(startDate);
+        if (endDate) query.createdAt.$lte = new Date(endDate);
+    }
+
+    const [transactions, total] = await Promise.all([
+        CreditTransaction.find(query)
+            .populate('song', 'title status')
+            .sort({ createdAt: -1 })
+            .limit(limit * 1)
+            .skip((page - 1) * limit),
+        CreditTransaction.countDocuments(query)
+    ]);
+
+    return { transactions, total };
+};
+
+export default {
+    reserveCredits,
+    attachTask,
+    settleReservation,
+    settleTaskCredits,
+    refundReservation,
+    transferSongCharge,
+    refundTaskCredits,
+    releaseTaskReservations,
+    refundFailedTask,
+    grantCredits,
+    getCreditHistory
+};
@@ -0,0 +1,226 @@
+import { MODEL_VERSIONS, MODEL_INFO, CREDIT_COSTS } from '../Utils/Constants.js';
+
+export const VOCAL_GENDERS = ['m', 'f'];
+
+// Weights Suno accepts, all between 0 and 1, and the request body field for each
+export const WEIGHT_PARAMS = {
+    styleWeight: 'style_weight',
+    weirdnessConstraint: 'weirdness_constraint',
+    audioWeight: 'audio_weight'
+};
+
+// Description mode takes a short prompt and lets Suno write the lyrics, style and title
+export const MAX_DESCRIPTION_LENGTH = 500;
+export const MAX_TITLE_LENGTH = 80;
+
+// What Suno uses when a parameter is left out
+export const DEFAULT_GENERATION_PARAMS = {
+    instrumental: false,
+    negativeTags: '',
+    vocalGender: 'm',
+    styleWeight: 0.65,
+    weirdnessConstraint: 0.65,
+    audioWeight: 0.65
+};
+
+// Request body fields and the generation parameter each one sets
+const BODY_FIELDS = {
+    prompt: 'prompt',
+    lyrics: 'lyrics',
+    tags: 'style',
+    style: 'style',
+    title: 'title',
+    model_version: 'model',
+    make_instrumental: 'instrumental',
+    custom_mode: 'customMode',
+    negative_tags: 'negativeTags',
+    vocal_gender: 'vocalGender',
+    style_weight: 'styleWeight',
+    weirdness_constraint: 'weirdnessConstraint',
+    audio_weight: 'audioWeight'
+};
+
+// Section markers such as [Verse] or [Chorus] must open and close on one line
+const UNCLOSED_MARKER = /\[[^\]\n]*(\n|$)/;
+const EMPTY_MARKER = /\[\s*\]/;
+const MARKER = /\[[^\]\n]*\]/g;
+
+// Tidy user lyrics and report problems with their section markers
+const checkLyrics = (lyrics, errors) => {
+    const normalized = lyrics
+        .replace(/\r\n?/g, '\n')
+        .split('\n')
+        .map(line => line.trimEnd())
+        .join('\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+
+    if (UNCLOSED_MARKER.test(normalized)) {
+        errors.push('Lyrics contain a section marker that is not closed, e.g. [Verse');
+    } else if (EMPTY_MARKER.test(normalized)) {
+        errors.push('Lyrics contain an empty section marker []');
+    } else if (!normalized.replace(MARKER, '').trim()) {
+        errors.push('Lyrics need words as well as section markers');
+    }
+
+    return normalized;
+};
+
+const invalidParamsError = (errors) => {
+    const error = new Error('Invalid generation parameters');
+    error.status = 400;
+    error.errors = errors;
+    return error;
+};
+
+// Merge request body fields over a base set of parameters and validate the result
+export const buildGenerationParams = (body = {}, base = {}) => {
+    const params = { ...DEFAULT_GENERATION_PARAMS, ...base };
+
+    Object.entries(BODY_FIELDS).forEach(([field, param]) => {
+        if (body[field] !== undefined && body[field] !== null) {
+            params[param] = body[field];
+        }
+    });
+
+    const errors = [];
+
+    params.prompt = typeof params.prompt === 'string' ? params.prompt.trim() : '';
+    params.style = typeof params.style === 'string' ? params.style.trim() : '';
+    params.title = typeof params.title === 'string' ? params.title.trim() : '';
+    params.negativeTags = typeof params.negativeTags === 'string' ? params.negativeTags.trim() : '';
+    params.instrumental = params.instrumental === true || params.instrumental === 'true';
+    params.lyrics = typeof params.lyrics === 'string' ? checkLyrics(params.lyrics, errors) : '';
+
+    const customMode = params.customMode === undefined ? undefined : params.customMode === true || params.customMode === 'true';
+
+    // Lyrics are only sung in custom mode; otherwise custom mode is used when a style is given,
+    // since only custom mode reads it
+    if (params.lyrics) {
+        if (customMode === false) {
+            errors.push('Lyrics can only be used in custom mode');
+        }
+        if (params.instrumental) {
+            errors.push('Instrumental songs cannot have lyrics');
+        }
+        params.customMode = true;
+    } else {
+        params.customMode = customMode === undefined ? !!params.style : customMode;
+    }
+
+    const modelInfo = MODEL_INFO[params.model];
+    if (!modelInfo) {
+        errors.push(`Model version must be one of: ${Object.values(MODEL_VERSIONS).join(', ')}`);
+    }
+
+    if (params.customMode) {
+        // Custom mode: the lyrics (or the prompt, without them) are sung word for word,
+        // so instrumentals can leave them out
+        const sungText = params.lyrics || params.prompt;
+
+        if (!params.style) {
+            errors.push('Style (tags) is required in custom mode');
+        } else if (modelInfo && params.style.length > modelInfo.maxStyleLength) {
+            errors.push(`Style cannot exceed ${modelInfo.maxStyleLength} characters for ${params.model}`);
+        }
+
+        if (!sungText && !params.instrumental) {
+            errors.push('Lyrics are required in custom mode unless the song is instrumental');
+        } else if (modelInfo && sungText.length > modelInfo.maxLyricsLength) {
+            errors.push(`Lyrics cannot exceed ${modelInfo.maxLyricsLength} characters for ${params.model}`);
+        }
+
+        if (params.lyrics && params.prompt.length > MAX_DESCRIPTION_LENGTH) {
+            errors.push(`Prompt cannot exceed ${MAX_DESCRIPTION_LENGTH} characters`);
+        }
+
+        if (params.title.length > MAX_TITLE_LENGTH) {
+            errors.push(`Title cannot exceed ${MAX_TITLE_LENGTH} characters`);
+        }
+    } else if (!params.prompt) {
+        errors.push('Prompt is required for music generation');
+    } else if (params.prompt.length > MAX_DESCRIPTION_LENGTH) {
+        errors.push(`Prompt cannot exceed ${MAX_DESCRIPTION_LENGTH} characters in description mode`);
+    }
+
+    if (!VOCAL_GENDERS.includes(params.vocalGender)) {
+        errors.push(`Vocal gender must be one of: ${VOCAL_GENDERS.join(', ')}`);
+    }
+
+    Object.entries(WEIGHT_PARAMS).forEach(([param, field]) => {
+        const value = Number(params[param]);
+        if (params[param] === '' || isNaN(value) || value < 0 || value > 1) {
+            errors.push(`${field} must be a number between 0 and 1`);
+        } else {
+            params[param] = value;
+        }
+    });
+
+    if (errors.length > 0) {
+        throw invalidParamsError(errors);
+    }
+
+    return params;
+};
+
+// Credits a generation with these parameters costs
+export const getGenerationCost = (params) => {
+    return MODEL_INFO[params.model]?.credits || CREDIT_COSTS.GENERATE_MUSIC;
+};
+
+// Description and lyrics to store on the song generated from these parameters
+export const getSongText = (params) => {
+    if (!params.customMode) {
+        return { description: params.prompt };
+    }
+
+    // Without a lyrics field the custom-mode prompt is what gets sung
+    if (!params.lyrics && !params.instrumental) {
+        return { description: '', lyrics: params.prompt };
+    }
+
+    return { description: params.prompt, lyrics: params.lyrics || undefined };
+};
+
+// Parameters for sunoApi.generateMusic - description mode sends only the prompt, Suno picks the rest
+export const toSunoParams = (params, callbackUrl) => ({
+    prompt: params.customMode ? params.lyrics || params.prompt : params.prompt,
+    style: params.customMode ? params.style : '',
+    title: params.customMode ? params.title || 'Untitled Song' : '',
+    customMode: params.customMode,
+    instrumental: params.instrumental,
+    model_version: params.model,
+    negativeTags: params.negativeTags,
+    vocalGender: params.vocalGender,
+    styleWeight: params.styleWeight,
+    weirdnessConstraint: params.weirdnessConstraint,
+    audioWeight: params.audioWeight,
+    callBackUrl: callbackUrl
+});
+
+// Stored parameters of a song, rebuilt from its fields for songs generated before they were kept
+export const getSongGenerationParams = (song) => {
+    const stored = song.generationParams?.toObject?.() || song.generationParams;
+    if (stored?.model) return stored;
+
+    return {
+        prompt: song.description,
+        style: (song.styleTags || []).join(', '),
+        title: song.title,
+        model: song.modelVersion,
+        instrumental: song.isInstrumental
+    };
+};
+
+export default {
+    VOCAL_GENDERS,
+    WEIGHT_PARAMS,
+    MAX_DESCRIPTION_LENGTH,
+    MAX_TITLE_LENGTH,
+    DEFAULT_GENERATION_PARAMS,
+    buildGenerationParams,
+    getGenerationCost,
+    getSongText,
+    toSunoParams,
+    getSongGenerationParams
+};
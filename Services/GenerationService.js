@@ -0,0 +1,294 @@
+import Song from '../Models/Song.js';
+import Workspace from '../Models/Workspace.js';
+import { settleTaskCredits, refundFailedTask } from './CreditLedger.js';
+import { storeSongAsset } from './Storage/index.js';
+
+// Cover art and video are optional - keep Suno's URL if they cannot be stored
+const storeOptionalAsset = async (song, kind, remoteUrl, extension) => {
+    if (!remoteUrl) return undefined;
+
+    try {
+        await storeSongAsset(song, kind, remoteUrl, extension);
+        return undefined;
+    } catch (error) {
+        console.error(`❌ Failed to store ${kind} for song ${song._id}:`, error.message);
+        return remoteUrl;
+    }
+};
+
+// Normalise a Suno clip - callbacks use snake_case, record-info uses camelCase
+export const normalizeClip = (clip = {}) => ({
+    id: clip.id,
+    audioUrl: clip.audio_url || clip.audioUrl || clip.source_audio_url || clip.sourceAudioUrl,
+    imageUrl: clip.image_url || clip.imageUrl || clip.source_image_url || clip.sourceImageUrl,
+    videoUrl: clip.video_url || clip.videoUrl,
+    title: clip.title,
+    tags: clip.tags,
+    duration: clip.duration
+});
+
+// Normalise a generation callback - Suno sends { code, msg, data: { callbackType, task_id, data: [clips] } },
+// older per-song callbacks a flat { status, audio_url, ... } clip
+export const parseGenerationCallback = (body = {}) => {
+    const { code, msg, data } = body;
+
+    if (code !== undefined) {
+        let clips = [];
+        if (Array.isArray(data?.data)) {
+            clips = data.data;
+        } else if (data?.data) {
+            clips = [data.data];
+        } else if (Array.isArray(data)) {
+            clips = data;
+        }
+
+        return {
+            taskId: data?.task_id || data?.taskId,
+            success: code === 200,
+            callbackType: data?.callbackType || 'complete',
+            clips,
+            errorMessage: msg
+        };
+    }
+
+    let success = null;
+    if (body.status === 'completed') {
+        success = true;
+    } else if (body.status === 'failed') {
+        success = false;
+    }
+
+    return {
+        taskId: body.task_id || body.taskId,
+        success,
+        callbackType: 'complete',
+        clips: success ? [{ ...body, id: body.audio_id }] : [],
+        errorMessage: body.error_message
+    };
+};
+
+// Find the song a Suno task was submitted for (the primary, never one of its variants)
+export const findSongByTaskId = (taskId) => {
+    return Song.findOne({
+        $or: [
+            { sunoTaskId: taskId },
+            { 'sunoTaskIds.taskId': taskId }
+        ],
+        variantOf: null
+    });
+};
+
+// Find or create the sibling song that holds an extra clip of the same task
+const findOrCreateVariant = async (primary, variantIndex, clip) => {
+    const filter = { variantOf: primary._id, variantIndex };
+
+    let result;
+    try {
+        result = await Song.findOneAndUpdate(
+            filter,
+            {
+                $setOnInsert: {
+                    title: clip.title || `${primary.title} (Variant ${variantIndex + 1})`,
+                    description: primary.description,
+                    lyrics: primary.lyrics,
+                    styleTags: primary.styleTags,
+                    isInstrumental: primary.isInstrumental,
+                    modelVersion: primary.modelVersion,
+                    status: 'generating',
+                    creditsUsed: 0,
+                    user: primary.user,
+                    workspace: primary.workspace,
+                    parentSong: primary.parentSong,
+                    version: primary.version,
+                    derivationType: primary.derivationType,
+                    generationParams: primary.toObject().generationParams,
+                    retryCount: primary.retryCount,
+                    sunoTaskId: primary.sunoTaskId,
+                    sunoTaskIds: primary.sunoTaskIds
+                        .filter(task => task.taskId === primary.sunoTaskId)
+                        .map(task => ({ type: task.type, taskId: task.taskId, status: 'processing' }))
+                }
+            },
+            { upsert: true, new: true, setDefaultsOnInsert: true, includeResultMetadata: true }
+        );
+    } catch (error) {
+        // A concurrent delivery created it first
+        if (error.code === 11000) return Song.findOne(filter);
+        throw error;
+    }
+
+    const variant = result.value;
+
+    if (!result.lastErrorObject?.updatedExisting && variant.workspace) {
+        const workspace = await Workspace.findById(variant.workspace);
+        if (workspace) await workspace.addSong(variant._id);
+        console.log(`🎶 Created variant ${variantIndex + 1} of song ${primary._id}`);
+    }
+
+    return variant;
+};
+
+// Complete the primary song from the first clip and a variant song from each extra clip
+export const completeSongClips = async (song, rawClips = []) => {
+    const songs = [];
+
+    for (const [index, rawClip] of rawClips.entries()) {
+        // Clips without audio are still rendering
+        if (!normalizeClip(rawClip).audioUrl) continue;
+
+        const target = index === 0 ? song : await findOrCreateVariant(song, index, normalizeClip(rawClip));
+        songs.push(await completeSongFromClip(target, rawClip));
+    }
+
+    return songs;
+};
+
+// Apply one stage of a Suno generation callback: text, first or complete
+export const applyGenerationCallback = async (taskId, callbackType, clips = []) => {
+    const song = await findSongByTaskId(taskId);
+    if (!song) {
+        console.error(`❌ Song not found for taskId: ${taskId}`);
+        return null;
+    }
+
+    // A timed-out task has already been refunded, so late results are ignored
+    if (song.status === 'failed') {
+        console.warn(`⚠️ Ignoring ${callbackType} callback for failed song ${song._id}`);
+        return song;
+    }
+
+    if (callbackType === 'text') {
+        if (song.status !== 'completed') {
+            song.status = 'generating';
+            song.progress = Math.max(song.progress, 50);
+
+            if (!song.lyrics && !song.isInstrumental && clips[0]?.prompt) {
+                song.lyrics = clips[0].prompt;
+            }
+
+            await song.save();
+        }
+        return song;
+    }
+
+    await completeSongClips(song, clips);
+    return song;
+};
+
+// Complete a song from a finished Suno clip - replaying the same clip is a no-op
+export const completeSongFromClip = async (song, rawClip) => {
+    const clip = normalizeClip(rawClip);
+
+    if (song.status === 'completed' && (!clip.id || song.sunoAudioId === clip.id)) {
+        return song;
+    }
+
+    console.log(`📝 Updating song: ${song.title} (${song._id})`);
+
+    // ✅ Copy the audio into our storage
+    if (clip.audioUrl) {
+        try {
+            await storeSongAsset(song, 'audio', clip.audioUrl, 'mp3');
+            console.log(`✅ Audio stored for song: ${song.title}`);
+        } catch (storageError) {
+            console.error('❌ Failed to store audio:', storageError.message);
+
+            // If storing fails, mark as failed rather than completed
+            await failSong(song, `Failed to download audio: ${storageError.message}`);
+            return song;
+        }
+    }
+
+    const coverUrl = await storeOptionalAsset(song, 'cover', clip.imageUrl, 'jpeg');
+    const videoUrl = await storeOptionalAsset(song, 'video', clip.videoUrl, 'mp4');
+
+    // Only the delivery that flips the song to completed counts towards workspace stats
+    const isFirstCompletion = !!await Song.findOneAndUpdate(
+        { _id: song._id, status: { $ne: 'completed' } },
+        { $set: { status: 'completed' } }
+    );
+
+    // Update song with generated data - stored files are linked through storageKeys only
+    song.status = 'completed';
+    song.progress = 100;
+    song.audioUrl = song.storageKeys?.audio ? undefined : song.audioUrl;
+    song.coverUrl = coverUrl;
+    song.videoUrl = videoUrl;
+    song.title = clip.title || song.title;
+    song.duration = clip.duration || 180;
+    song.completedAt = new Date();
+
+    if (clip.id) {
+        song.sunoAudioId = clip.id;
+    }
+
+    if (clip.tags && Array.isArray(clip.tags)) {
+        song.tags = clip.tags;
+    }
+
+    song.sunoTaskIds
+        .filter(task => task.taskId === song.sunoTaskId)
+        .forEach(task => { task.status = 'completed'; });
+
+    await song.save();
+
+    // The task delivered, so its reserved credits are now spent
+    await settleTaskCredits(song.sunoTaskId);
+
+    // Update workspace stats
+    if (song.workspace && isFirstCompletion) {
+        await Workspace.findByIdAndUpdate(song.workspace, {
+            $inc: {
+                'stats.completedSongs': 1,
+                'stats.totalDuration': song.duration,
+                'stats.creditsUsed': song.creditsUsed
+            },
+            'stats.lastActivityAt': new Date()
+        });
+    }
+
+    console.log(`✅ Song completed successfully: ${song.title} -> ${song.storageKeys?.audio}`);
+    return song;
+};
+
+// Mark a song as failed and return the credits it was charged
+export const failSong = async (song, errorMessage, { outcome = 'failed' } = {}) => {
+    // Never undo a song Suno already delivered
+    if (song.status === 'completed') return song;
+
+    song.status = 'failed';
+    song.errorMessage = (errorMessage || 'Generation failed').substring(0, 500);
+
+    const tasks = song.sunoTaskIds.filter(task => task.taskId === song.sunoTaskId);
+    tasks.forEach(task => { task.status = 'failed'; });
+
+    await song.save();
+
+    // Variants share the primary song's task and were never charged separately
+    if (song.variantOf) return song;
+
+    const refunds = await refundFailedTask(song.sunoTaskId, {
+        type: tasks[0]?.type || 'generate',
+        outcome,
+        reason: song.errorMessage
+    });
+
+    if (refunds.length > 0) {
+        await song.addLog('info', 'Credits refunded', {
+            taskId: song.sunoTaskId,
+            credits: refunds.reduce((sum, refund) => sum + refund.amount, 0)
+        });
+    }
+
+    return song;
+};
+
+export default {
+    parseGenerationCallback,
+    normalizeClip,
+    findSongByTaskId,
+    completeSongClips,
+    applyGenerationCallback,
+    completeSongFromClip,
+    failSong
+};
@@ -0,0 +1,309 @@
+import { sunoApi } from '../Config/SunoApi.js';
+import Song from '../Models/Song.js';
+import SunoJob from '../Models/SunoJob.js';
+import {
+    SUNO_POLLING,
+    SUNO_SUCCESS_STATUSES,
+    SUNO_FAILURE_STATUSES
+} from '../Utils/Constants.js';
+import { completeSongClips, failSong } from './GenerationService.js';
+import {
+    applyWavResult,
+    applySeparationResult,
+    applyVideoResult,
+    failAudioTask
+} from './AudioProcessingService.js';
+import { settleTaskCredits, refundFailedTask, releaseTaskReservations } from './CreditLedger.js';
+import { hashToken } from '../Utils/WebhookSignature.js';
+
+let pollTimer = null;
+let isPolling = false;
+
+const generationHandler = (fetchDetails) => ({
+    fetchDetails,
+    isReady: (details) => details.songs?.length > 0,
+    complete: (song, details) => completeSongClips(song, details.songs),
+    fail: (song, errorMessage, job, outcome) => failSong(song, errorMessage, { outcome }),
+    resolvedStatus: (song) => (['completed', 'failed'].includes(song.status) ? song.status : null)
+});
+
+const audioHandler = (fetchDetails, isReady, complete) => ({
+    fetchDetails,
+    isReady,
+    complete,
+    fail: (song, errorMessage, job, outcome) => failAudioTask(song, job.taskId, errorMessage, { outcome }),
+    resolvedStatus: (song, job) => {
+        const task = song.sunoTaskIds.find(t => t.taskId === job.taskId);
+        if (!task) return 'failed';
+        return ['completed', 'failed'].includes(task.status) ? task.status : null;
+    }
+});
+
+// Tasks with no song of their own only settle or refund their credits.
+// Without fetchDetails the task is callback-only and the poller just enforces the timeout.
+const taskOnlyHandler = (fetchDetails = null, isReady = () => true) => ({
+    requiresSong: false,
+    fetchDetails,
+    isReady,
+    complete: (song, details, job) => settleTaskCredits(job.taskId),
+    fail: (song, errorMessage, job, outcome) => refundFailedTask(job.taskId, { type: job.type, outcome, reason: errorMessage }),
+    resolvedStatus: () => null
+});
+
+// How each task type is looked up on Suno and applied to its song
+const TASK_HANDLERS = {
+    generate: generationHandler((taskId) => sunoApi.getGenerationDetails(taskId)),
+    extend: generationHandler((taskId) => sunoApi.getGenerationDetails(taskId)),
+    cover: generationHandler((taskId) => sunoApi.getCoverDetails(taskId)),
+    instrumental: generationHandler((taskId) => sunoApi.getGenerationDetails(taskId)),
+    vocals: generationHandler((taskId) => sunoApi.getGenerationDetails(taskId)),
+    wav: audioHandler(
+        (taskId) => sunoApi.getWavConversionDetails(taskId),
+        (details) => !!details.wavUrl,
+        (song, details, job) => applyWavResult(song, job.taskId, details)
+    ),
+    separate: audioHandler(
+        (taskId) => sunoApi.getAudioSeparationDetails(taskId),
+        (details) => !!(details.vocalUrl || details.instrumentalUrl),
+        (song, details, job) => applySeparationResult(song, job.taskId, details)
+    ),
+    lyrics: taskOnlyHandler(
+        (taskId) => sunoApi.getLyricsDetails(taskId),
+        (details) => details.lyrics?.length > 0
+    ),
+    video: audioHandler(
+        (taskId) => sunoApi.getMusicVideoDetails(taskId),
+        (details) => !!details.videoUrl,
+        (song, details, job) => applyVideoResult(song, job.taskId, details)
+    )
+};
+
+// Record a Suno task so it is finalised even if its webhook never arrives
+export const enqueueJob = async ({ taskId, type, song, user, callbackToken }) => {
+    const job = await SunoJob.findOneAndUpdate(
+        { taskId },
+        {
+            $setOnInsert: {
+                taskId,
+                type,
+                song,
+                user,
+                ...(callbackToken && { callbackTokenHash: hashToken(callbackToken) })
+            }
+        },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    console.log(`🗂️ Suno job queued: ${type} ${taskId}`);
+    return job;
+};
+
+// Atomically claim a job so concurrent pollers never process it twice
+const claimJob = (filter) => {
+    const now = new Date();
+
+    return SunoJob.findOneAndUpdate(
+        {
+            ...filter,
+            status: 'pending',
+            $or: [
+                { lockedUntil: { $exists: false } },
+                { lockedUntil: null },
+                { lockedUntil: { $lte: now } }
+            ]
+        },
+        { $set: { lockedUntil: new Date(now.getTime() + SUNO_POLLING.LOCK_MS) } },
+        { new: true, sort: { nextPollAt: 1 } }
+    );
+};
+
+// Push the next poll out along the backoff schedule
+const rescheduleJob = (job, updates = {}) => {
+    job.attempts += 1;
+    job.lastPolledAt = new Date();
+    job.nextPollAt = new Date(Date.now() + SunoJob.getBackoffDelay(job.attempts - 1));
+    job.lockedUntil = undefined;
+    Object.assign(job, updates);
+    return job.save();
+};
+
+// Close a job that can never deliver and give back the credits still reserved for it
+const abandonJob = async (job, reason, resolvedBy = 'poller') => {
+    await releaseTaskReservations(job.taskId, `Suno ${job.type} task abandoned: ${reason}`);
+    return job.resolve('failed', resolvedBy, reason);
+};
+
+// Poll one claimed job and finalise its song when Suno is done
+const processJob = async (job) => {
+    const handler = TASK_HANDLERS[job.type];
+    if (!handler) {
+        return abandonJob(job, `Polling is not supported for ${job.type} tasks`);
+    }
+
+    const song = job.song ? await Song.findById(job.song) : null;
+
+    if (!song && handler.requiresSong !== false) {
+        return abandonJob(job, 'Song no longer exists');
+    }
+
+    // The webhook got there first
+    const resolvedStatus = handler.resolvedStatus(song, job);
+    if (resolvedStatus) {
+        return job.resolve(resolvedStatus, 'webhook');
+    }
+
+    if (job.expiresAt && job.expiresAt <= new Date()) {
+        console.warn(`⏰ Suno job timed out: ${job.type} ${job.taskId}`);
+        await handler.fail(song, 'Timed out waiting for Suno to finish the task', job, 'timeout');
+        return job.resolve('timeout', 'poller', 'Timed out waiting for Suno');
+    }
+
+    // Callback-only task: nothing to poll, wait for the webhook or the timeout
+    if (!handler.fetchDetails) {
+        return rescheduleJob(job);
+    }
+
+    try {
+        const details = await handler.fetchDetails(job.taskId);
+        const sunoStatus = details.status;
+        job.lastSunoStatus = sunoStatus;
+
+        if (details.success && SUNO_SUCCESS_STATUSES.includes(sunoStatus) && handler.isReady(details)) {
+            await handler.complete(song, details, job);
+
+            // A failed download can still fail the song after Suno succeeded
+            const status = handler.resolvedStatus(song, job) || 'completed';
+            return job.resolve(status, 'poller', status === 'failed' ? song.errorMessage : null);
+        }
+
+        if (!details.success || SUNO_FAILURE_STATUSES.includes(sunoStatus) || /FAILED|ERROR|EXCEPTION/.test(sunoStatus)) {
+            const errorMessage = details.errorMessage || details.message || `${job.type} task failed`;
+            await handler.fail(song, errorMessage, job, 'failed');
+            return job.resolve('failed', 'poller', errorMessage);
+        }
+
+        return rescheduleJob(job, { lastError: undefined });
+
+    } catch (error) {
+        console.error(`❌ Suno job poll error (${job.taskId}):`, error.message);
+        return rescheduleJob(job, { lastError: error.message?.substring(0, 500) });
+    }
+};
+
+// Close a job from a webhook so the poller stops tracking it
+export const resolveJobByTask = async (taskId, status, errorMessage = null) => {
+    const job = await SunoJob.findOne({ taskId, status: 'pending' });
+    if (!job) return null;
+
+    return job.resolve(status, 'webhook', errorMessage);
+};
+
+// Stop tracking the open tasks of songs being deleted and give back their reserved credits
+export const cancelSongJobs = async (songIds, reason = 'Song was deleted') => {
+    const jobs = await SunoJob.find({ song: { $in: songIds }, status: 'pending' });
+
+    for (const job of jobs) {
+        await abandonJob(job, reason, 'cancel');
+    }
+
+    return jobs.length;
+};
+
+// Poll every job that is due
+export const pollDueJobs = async () => {
+    if (isPolling) return 0;
+    isPolling = true;
+
+    let processed = 0;
+
+    try {
+        while (processed < SUNO_POLLING.BATCH_SIZE) {
+            const job = await claimJob({ nextPollAt: { $lte: new Date() } });
+            if (!job) break;
+
+            await processJob(job);
+            processed += 1;
+        }
+    } catch (error) {
+        console.error('❌ Suno job poller error:', error);
+    } finally {
+        isPolling = false;
+    }
+
+    return processed;
+};
+
+// Poll a single task immediately, ignoring its backoff schedule
+export const pollTaskNow = async (taskId) => {
+    const job = await claimJob({ taskId });
+    if (!job) return null;
+
+    return processJob(job);
+};
+
+// Queue songs left in generating by a restart that have no job yet
+export const recoverStuckSongs = async () => {
+    const songs = await Song.find({
+        status: 'generating',
+        sunoTaskId: { $exists: true, $ne: null }
+    }).select('_id user sunoTaskId sunoTaskIds');
+
+    let recovered = 0;
+
+    for (const song of songs) {
+        const exists = await SunoJob.exists({ taskId: song.sunoTaskId });
+        if (exists) continue;
+
+        const task = song.sunoTaskIds.find(t => t.taskId === song.sunoTaskId);
+        await enqueueJob({
+            taskId: song.sunoTaskId,
+            type: task?.type || 'generate',
+            song: song._id,
+            user: song.user
+        });
+        recovered += 1;
+    }
+
+    if (recovered > 0) {
+        console.log(`🩹 Recovered ${recovered} song(s) stuck in generating`);
+    }
+
+    return recovered;
+};
+
+// Start the background poller
+export const startJobPoller = async () => {
+    if (pollTimer) return;
+
+    try {
+        await recoverStuckSongs();
+    } catch (error) {
+        console.error('❌ Failed to recover stuck songs:', error);
+    }
+
+    const interval = parseInt(process.env.SUNO_POLL_INTERVAL_MS) || SUNO_POLLING.INTERVAL_MS;
+    pollTimer = setInterval(pollDueJobs, interval);
+    pollTimer.unref();
+
+    console.log(`🔁 Suno job poller started (every ${interval / 1000}s)`);
+};
+
+// Stop the background poller
+export const stopJobPoller = () => {
+    if (!pollTimer) return;
+
+    clearInterval(pollTimer);
+    pollTimer = null;
+    console.log('✅ Suno job poller stopped');
+};
+
+export default {
+    enqueueJob,
+    pollDueJobs,
+    pollTaskNow,
+    resolveJobByTask,
+    cancelSongJobs,
+    recoverStuckSongs,
+    startJobPoller,
+    stopJobPoller
+};
@@ -0,0 +1,148 @@
+import Song from '../Models/Song.js';
+import { resolveSongAccess } from './Authorization.js';
+
+// Guards against runaway trees and broken parent links
+const MAX_DEPTH = 50;
+const MAX_NODES = 500;
+
+const NODE_FIELDS = '_id title version derivationType status modelVersion duration coverUrl storageKeys parentSong variantOf variantIndex user workspace collaborators sharing createdAt';
+
+// Create the next version of a song from an extend, cover or other derived operation.
+// Versions count across the whole tree, so deriving from an older song still gets a new number.
+export const createDerivedSong = async (sourceSong, { derivationType, workspace, ...fields }) => {
+    const song = new Song({
+        ...fields,
+        workspace: workspace?._id,
+        parentSong: sourceSong._id,
+        version: (await findLatestVersion(sourceSong)) + 1,
+        derivationType
+    });
+
+    await song.save();
+
+    await Song.updateOne({ _id: sourceSong._id }, { $addToSet: { childSongs: song._id } });
+    if (workspace) await workspace.addSong(song._id);
+
+    return song;
+};
+
+// Drop every lineage link to songs that are being deleted: children lose their parent,
+// variants become songs of their own and parents forget them
+export const unlinkSongs = async (songIds) => {
+    await Song.updateMany(
+        { parentSong: { $in: songIds } },
+        { $unset: { parentSong: 1 } }
+    );
+    await Song.updateMany(
+        { variantOf: { $in: songIds } },
+        { $set: { variantOf: null, variantIndex: 0 } }
+    );
+    await Song.updateMany(
+        { childSongs: { $in: songIds } },
+        { $pull: { childSongs: { $in: songIds } } }
+    );
+};
+
+// Walk up parent links to the original song
+const findRoot = async (song) => {
+    let root = song;
+    const seen = new Set([song._id.toString()]);
+
+    for (let depth = 0; depth < MAX_DEPTH; depth++) {
+        const parentId = root.parentSong || root.variantOf;
+        if (!parentId || seen.has(parentId.toString())) break;
+
+        const parent = await Song.findById(parentId).select(NODE_FIELDS);
+        if (!parent) break;
+
+        seen.add(parent._id.toString());
+        root = parent;
+    }
+
+    return root;
+};
+
+// The root and every song derived from it, found level by level
+const collectTree = async (root) => {
+    const songs = new Map([[root._id.toString(), root]]);
+
+    let frontier = [root._id];
+    for (let depth = 0; depth < MAX_DEPTH && frontier.length > 0 && songs.size < MAX_NODES; depth++) {
+        const found = await Song.find({
+            $or: [{ parentSong: { $in: frontier } }, { variantOf: { $in: frontier } }],
+            _id: { $nin: [...songs.keys()] }
+        })
+            .select(NODE_FIELDS)
+            .sort({ createdAt: 1 })
+            .limit(MAX_NODES - songs.size);
+
+        found.forEach(node => songs.set(node._id.toString(), node));
+        frontier = found.map(node => node._id);
+    }
+
+    return songs;
+};
+
+// Highest version number in the tree a song belongs to
+const findLatestVersion = async (song) => {
+    const songs = await collectTree(await findRoot(song));
+
+    return Math.max(song.version || 1, ...[...songs.values()].map(node => node.version || 1));
+};
+
+// The tree of versions a song belongs to, from the original down through every derived song.
+// Extra clips of the same task are listed as variants of their primary song.
+// Songs the user cannot open keep their place in the tree without their details.
+export const getSongLineage = async (song, { user } = {}) => {
+    const root = await findRoot(song);
+    const songs = await collectTree(root);
+
+    const nodes = new Map();
+    for (const [id, node] of songs) {
+        const access = await resolveSongAccess(node, { user });
+
+        nodes.set(id, {
+            id: node._id,
+            version: node.version,
+            derivationType: node.derivationType,
+            accessible: !!access?.canView,
+            isCurrent: node._id.equals(song._id),
+            ...(access?.canView && {
+                title: node.title,
+                status: node.status,
+                modelVersion: node.modelVersion,
+                duration: node.duration,
+                coverUrl: node.getAssetUrls().coverUrl,
+                createdAt: node.createdAt
+            }),
+            variants: [],
+            children: []
+        });
+    }
+
+    for (const [id, node] of songs) {
+        if (id === root._id.toString()) continue;
+
+        // A variant's parentSong is its primary's parent, so variantOf decides where it goes
+        const variantParent = node.variantOf && nodes.get(node.variantOf.toString());
+        if (variantParent) {
+            variantParent.variants.push(nodes.get(id));
+            continue;
+        }
+
+        const parent = node.parentSong && nodes.get(node.parentSong.toString());
+        if (parent) parent.children.push(nodes.get(id));
+    }
+
+    return {
+        root: nodes.get(root._id.toString()),
+        total: nodes.size,
+        truncated: songs.size >= MAX_NODES
+    };
+};
+
+export default {
+    createDerivedSong,
+    unlinkSongs,
+    getSongLineage
+};
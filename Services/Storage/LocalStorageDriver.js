@@ -0,0 +1,107 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { pipeline } from 'stream/promises';
+import { Readable } from 'stream';
+
+// Stores files on the local disk and serves them through signed /storage URLs
+class LocalStorageDriver {
+    constructor({ root, baseUrl, signingSecret }) {
+        this.name = 'local';
+        this.root = path.resolve(root);
+        this.baseUrl = baseUrl;
+        this.signingSecret = signingSecret;
+
+        fs.mkdirSync(this.root, { recursive: true });
+    }
+
+    // Resolve a key inside the storage root, refusing anything that escapes it
+    resolvePath(key) {
+        const filePath = path.resolve(this.root, key);
+        if (!filePath.startsWith(this.root + path.sep)) {
+            const error = new Error(`Invalid storage key: ${key}`);
+            error.status = 400;
+            throw error;
+        }
+        return filePath;
+    }
+
+    async put(key, body, { contentType } = {}) {
+        const filePath = this.resolvePath(key);
+        const tempPath = `${filePath}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+        try {
+            const source = Buffer.isBuffer(body) ? Readable.from([body]) : body;
+            await pipeline(source, fs.createWriteStream(tempPath));
+
+            const { size } = await fs.promises.stat(tempPath);
+            if (size === 0) {
+                throw new Error('Stored file is empty');
+            }
+
+            // Rename so readers never see a half-written file
+            await fs.promises.rename(tempPath, filePath);
+            return { key, size, contentType };
+        } catch (error) {
+            await fs.promises.rm(tempPath, { force: true });
+            throw error;
+        }
+    }
+
+    async stat(key) {
+        try {
+            const stats = await fs.promises.stat(this.resolvePath(key));
+            return { size: stats.size, lastModified: stats.mtime };
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    async get(key, { range } = {}) {
+        const stats = await this.stat(key);
+        if (!stats) {
+            const error = new Error('File not found');
+            error.status = 404;
+            throw error;
+        }
+
+        const options = range ? { start: range.start, end: range.end } : {};
+
+        return {
+            stream: fs.createReadStream(this.resolvePath(key), options),
+            size: stats.size
+        };
+    }
+
+    async delete(key) {
+        await fs.promises.rm(this.resolvePath(key), { force: true });
+    }
+
+    async exists(key) {
+        return !!(await this.stat(key));
+    }
+
+    sign(key, expires) {
+        return crypto.createHmac('sha256', this.signingSecret).update(`${key}:${expires}`).digest('hex');
+    }
+
+    verifySignature(key, expires, signature) {
+        if (!expires || !signature || Number(expires) < Math.floor(Date.now() / 1000)) return false;
+
+        const expected = Buffer.from(this.sign(key, expires));
+        const actual = Buffer.from(String(signature));
+        return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+    }
+
+    async signedUrl(key, { expiresIn = 3600 } = {}) {
+        const expires = Math.floor(Date.now() / 1000) + expiresIn;
+        const encodedKey = key.split('/').map(encodeURIComponent).join('/');
+
+        return `${this.baseUrl}/storage/${encodedKey}?expires=${expires}&signature=${this.sign(key, expires)}`;
+    }
+}
+
+export default LocalStorageDriver;
@@ -0,0 +1,142 @@
+import {
+    S3Client,
+    PutObjectCommand,
+    GetObjectCommand,
+    HeadObjectCommand,
+    DeleteObjectCommand
+} from '@aws-sdk/client-s3';
+import { Upload } from '@aws-sdk/lib-storage';
+import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
+import { Transform } from 'stream';
+
+// Count bytes as they pass so streamed uploads know their size without buffering
+const createByteCounter = () => {
+    const counter = new Transform({
+        transform(chunk, encoding, callback) {
+            counter.bytes += chunk.length;
+            callback(null, chunk);
+        }
+    });
+    counter.bytes = 0;
+    return counter;
+};
+
+// Stores files in any S3-compatible bucket (AWS S3, MinIO, R2...)
+class S3StorageDriver {
+    constructor({ bucket, region, endpoint, accessKeyId, secretAccessKey, forcePathStyle }) {
+        if (!bucket) {
+            throw new Error('S3_BUCKET is required when STORAGE_DRIVER=s3');
+        }
+
+        this.name = 's3';
+        this.bucket = bucket;
+        this.client = new S3Client({
+            region: region || 'us-east-1',
+            endpoint: endpoint || undefined,
+            forcePathStyle: !!forcePathStyle,
+            credentials: accessKeyId && secretAccessKey
+                ? { accessKeyId, secretAccessKey }
+                : undefined
+        });
+    }
+
+    async put(key, body, { contentType } = {}) {
+        if (Buffer.isBuffer(body)) {
+            if (body.length === 0) {
+                throw new Error('Stored file is empty');
+            }
+
+            await this.client.send(new PutObjectCommand({
+                Bucket: this.bucket,
+                Key: key,
+                Body: body,
+                ContentType: contentType
+            }));
+
+            return { key, size: body.length, contentType };
+        }
+
+        // Streams of unknown length go up in parts, so large WAVs and stems never sit in memory
+        const counter = createByteCounter();
+        body.on('error', error => counter.destroy(error));
+
+        await new Upload({
+            client: this.client,
+            params: {
+                Bucket: this.bucket,
+                Key: key,
+                Body: body.pipe(counter),
+                ContentType: contentType
+            }
+        }).done();
+
+        if (counter.bytes === 0) {
+            await this.delete(key);
+            throw new Error('Stored file is empty');
+        }
+
+        return { key, size: counter.bytes, contentType };
+    }
+
+    async stat(key) {
+        try {
+            const head = await this.client.send(new HeadObjectCommand({ Bucket: this.bucket, Key: key }));
+            return {
+                size: head.ContentLength,
+                contentType: head.ContentType,
+                lastModified: head.LastModified
+            };
+        } catch (error) {
+            if (error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404) return null;
+            throw error;
+        }
+    }
+
+    async get(key, { range } = {}) {
+        try {
+            const response = await this.client.send(new GetObjectCommand({
+                Bucket: this.bucket,
+                Key: key,
+                Range: range ? `bytes=${range.start}-${range.end}` : undefined
+            }));
+
+            // ContentRange looks like "bytes 0-99/1234"
+            const total = response.ContentRange
+                ? parseInt(response.ContentRange.split('/')[1])
+                : response.ContentLength;
+
+            return {
+                stream: response.Body,
+                size: total,
+                contentType: response.ContentType
+            };
+        } catch (error) {
+            if (error.name === 'NoSuchKey' || error.$metadata?.httpStatusCode === 404) {
+                const notFound = new Error('File not found');
+                notFound.status = 404;
+                throw notFound;
+            }
+            throw error;
+        }
+    }
+
+    async delete(key) {
+        await this.client.send(new DeleteObjectCommand({ Bucket: this.bucket, Key: key }));
+    }
+
+    async exists(key) {
+        return !!(await this.stat(key));
+    }
+
+    async signedUrl(key, { expiresIn = 3600, filename } = {}) {
+        const command = new GetObjectCommand({
+            Bucket: this.bucket,
+            Key: key,
+            ResponseContentDisposition: filename ? `attachment; filename="${filename}"` : undefined
+        });
+
+        return getSignedUrl(this.client, command, { expiresIn });
+    }
+}
+
+export default S3StorageDriver;
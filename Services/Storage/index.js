@@ -0,0 +1,205 @@
+import fs from 'fs';
+import path from 'path';
+import axios from 'axios';
+import { fileURLToPath } from 'url';
+import LocalStorageDriver from './LocalStorageDriver.js';
+import S3StorageDriver from './S3StorageDriver.js';
+import Song from '../../Models/Song.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const CONTENT_TYPES = {
+    mp3: 'audio/mpeg',
+    wav: 'audio/wav',
+    mp4: 'video/mp4',
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    png: 'image/png',
+    webp: 'image/webp',
+    zip: 'application/zip'
+};
+
+// How long signed asset URLs stay valid (S3 presigning caps this at 7 days)
+const ASSET_URL_TTL_S = parseInt(process.env.STORAGE_URL_TTL_S) || 7 * 24 * 60 * 60;
+
+let storage = null;
+let legacyStorage = null;
+
+const createStorage = () => {
+    const driver = (process.env.STORAGE_DRIVER || 'local').toLowerCase();
+
+    if (driver === 's3') {
+        return new S3StorageDriver({
+            bucket: process.env.S3_BUCKET,
+            region: process.env.S3_REGION,
+            endpoint: process.env.S3_ENDPOINT,
+            accessKeyId: process.env.S3_ACCESS_KEY_ID,
+            secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+            forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true'
+        });
+    }
+
+    return new LocalStorageDriver({
+        root: process.env.STORAGE_LOCAL_ROOT || path.join(__dirname, '..', '..', 'storage'),
+        baseUrl: process.env.BACKEND_URL,
+        signingSecret: process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET
+    });
+};
+
+// Storage driver chosen by STORAGE_DRIVER (local or s3)
+export const getStorage = () => {
+    if (!storage) {
+        storage = createStorage();
+        console.log(`🗄️ Using ${storage.name} storage driver`);
+    }
+    return storage;
+};
+
+export const getContentType = (key) => {
+    return CONTENT_TYPES[path.extname(key).slice(1).toLowerCase()] || 'application/octet-stream';
+};
+
+// Keys are grouped per song: songs/<songId>/<kind>.<ext>
+export const songAssetKey = (songId, kind, extension) => {
+    return `songs/${songId}/${kind}.${extension}`;
+};
+
+// Extension for a remote asset, falling back when the URL has none
+export const extensionFromUrl = (url, fallback) => {
+    try {
+        const extension = path.extname(new URL(url).pathname).slice(1).toLowerCase();
+        return CONTENT_TYPES[extension] ? extension : fallback;
+    } catch {
+        return fallback;
+    }
+};
+
+// Download a remote file straight into storage
+export const storeRemoteFile = async (url, key) => {
+    console.log(`📥 Storing ${url} as ${key}`);
+
+    const response = await axios({
+        method: 'GET',
+        url,
+        responseType: 'stream',
+        timeout: 60000,
+        headers: {
+            'User-Agent': 'MusicAI-Backend/1.0'
+        }
+    });
+
+    const stored = await getStorage().put(key, response.data, { contentType: getContentType(key) });
+    console.log(`✅ Stored ${key} (${stored.size} bytes)`);
+    return stored;
+};
+
+// Signed URL for a stored asset - build one per response, never save it
+export const getAssetUrl = (key, options = {}) => {
+    return getStorage().signedUrl(key, { expiresIn: ASSET_URL_TTL_S, ...options });
+};
+
+// Copy a remote asset into storage and record its key on the song
+export const storeSongAsset = async (song, kind, remoteUrl, defaultExtension) => {
+    const key = songAssetKey(song._id, kind, extensionFromUrl(remoteUrl, defaultExtension));
+
+    await storeRemoteFile(remoteUrl, key);
+
+    song.set(`storageKeys.${kind}`, key);
+    return key;
+};
+
+// Songs generated before the storage backend wrote mp3s to public/generated-music
+const getLegacyStorage = () => {
+    if (!legacyStorage) {
+        legacyStorage = new LocalStorageDriver({
+            root: path.join(__dirname, '..', '..', 'public', 'generated-music')
+        });
+    }
+    return legacyStorage;
+};
+
+// Where a song's file of the given kind lives, or null if we do not hold it
+export const resolveSongFile = async (song, kind) => {
+    const key = song.storageKeys?.[kind];
+    if (key) {
+        return { storage: getStorage(), key };
+    }
+
+    if (kind === 'audio') {
+        const legacyKey = `${song._id}.mp3`;
+        if (await getLegacyStorage().exists(legacyKey)) {
+            return { storage: getLegacyStorage(), key: legacyKey };
+        }
+    }
+
+    return null;
+};
+
+// Move mp3s left in public/generated-music into storage so those songs stream like any other.
+// Safe to run on every start: moved files are removed from the legacy folder.
+export const migrateLegacySongFiles = async () => {
+    const legacy = getLegacyStorage();
+    const files = (await fs.promises.readdir(legacy.root))
+        .filter(name => /^[a-f0-9]{24}\.mp3$/.test(name));
+
+    let migrated = 0;
+    for (const name of files) {
+        try {
+            const song = await Song.findById(path.basename(name, '.mp3')).select('storageKeys');
+            if (!song || song.storageKeys?.audio) continue;
+
+            const key = songAssetKey(song._id, 'audio', 'mp3');
+            const { stream } = await legacy.get(name);
+            await getStorage().put(key, stream, { contentType: getContentType(key) });
+
+            await Song.updateOne(
+                { _id: song._id },
+                { $set: { 'storageKeys.audio': key }, $unset: { audioUrl: 1 } }
+            );
+            await legacy.delete(name);
+            migrated++;
+        } catch (error) {
+            console.error(`❌ Failed to migrate ${name}:`, error.message);
+        }
+    }
+
+    if (migrated > 0) {
+        console.log(`📦 Moved ${migrated} legacy song file(s) into ${getStorage().name} storage`);
+    }
+    return migrated;
+};
+
+// Remove every stored asset of a song, returning how many files were deleted
+export const deleteSongAssets = async (song) => {
+    const keys = Object.values(song.storageKeys?.toObject?.() || song.storageKeys || {}).filter(Boolean);
+
+    const deleteFile = (driver, key) => driver.delete(key)
+        .then(() => 1)
+        .catch(error => {
+            console.error(`❌ Failed to delete ${key}:`, error.message);
+            return 0;
+        });
+
+    const results = await Promise.all(keys.map(key => deleteFile(getStorage(), key)));
+
+    const legacyKey = `${song._id}.mp3`;
+    if (await getLegacyStorage().exists(legacyKey)) {
+        results.push(await deleteFile(getLegacyStorage(), legacyKey));
+    }
+
+    return results.reduce((sum, deleted) => sum + deleted, 0);
+};
+
+export default {
+    getStorage,
+    getContentType,
+    songAssetKey,
+    extensionFromUrl,
+    storeRemoteFile,
+    getAssetUrl,
+    storeSongAsset,
+    resolveSongFile,
+    migrateLegacySongFiles,
+    deleteSongAssets
+};
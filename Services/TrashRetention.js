@@ -0,0 +1,181 @@
+import Workspace from '../Models/Workspace.js';
+import Song from '../Models/Song.js';
+import User from '../Models/User.js';
+import Comment from '../Models/Comment.js';
+import Invitation from '../Models/Invitation.js';
+import SunoJob from '../Models/SunoJob.js';
+import { TRASH_RETENTION } from '../Utils/Constants.js';
+import { deleteSongAssets } from './Storage/index.js';
+import { unlinkSongs } from './SongLineage.js';
+import { cancelSongJobs } from './JobQueue.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let purgeTimer = null;
+let isPurging = false;
+
+// Days a workspace stays in the trash, overridable with TRASH_RETENTION_DAYS
+export const getRetentionDays = () => {
+    const days = parseInt(process.env.TRASH_RETENTION_DAYS);
+    return days > 0 ? days : TRASH_RETENTION.DAYS;
+};
+
+// When a trashed workspace becomes eligible for purging
+export const getPurgeDate = (trashedAt) => {
+    if (!trashedAt) return null;
+    return new Date(new Date(trashedAt).getTime() + getRetentionDays() * DAY_MS);
+};
+
+// Whole days left before the purge, 0 once it is due
+export const getDaysUntilPurge = (trashedAt) => {
+    const purgeDate = getPurgeDate(trashedAt);
+    if (!purgeDate) return null;
+    return Math.max(0, Math.ceil((purgeDate.getTime() - Date.now()) / DAY_MS));
+};
+
+// Delete a workspace with its songs, their Suno jobs, stored files, comments and invitations
+export const purgeWorkspace = async (workspace) => {
+    const songs = await Song.find({ workspace: workspace._id }).select('_id storageKeys');
+    const songIds = songs.map(song => song._id);
+
+    // Tasks still running give back their reserved credits before their jobs go
+    const jobsCancelled = await cancelSongJobs(songIds, 'Workspace was purged');
+    await SunoJob.deleteMany({ song: { $in: songIds } });
+
+    let filesDeleted = 0;
+    for (const song of songs) {
+        filesDeleted += await deleteSongAssets(song);
+    }
+
+    // Song share links live on the songs and the workspace link on the workspace, so they go with them
+    const comments = await Comment.deleteMany({
+        $or: [{ workspace: workspace._id }, { song: { $in: songIds } }]
+    });
+    const invitations = await Invitation.deleteMany({ workspace: workspace._id });
+    const deletedSongs = await Song.deleteMany({ _id: { $in: songIds } });
+
+    // Songs in other workspaces drop their links to the purged ones
+    await unlinkSongs(songIds);
+
+    await User.findByIdAndUpdate(workspace.user, {
+        $pull: { workspaces: workspace._id }
+    });
+
+    await Workspace.findByIdAndDelete(workspace._id);
+
+    return {
+        workspaceId: workspace._id,
+        name: workspace.name,
+        user: workspace.user,
+        trashedAt: workspace.trashedAt,
+        songsDeleted: deletedSongs.deletedCount,
+        filesDeleted,
+        commentsDeleted: comments.deletedCount,
+        invitationsDeleted: invitations.deletedCount,
+        jobsCancelled
+    };
+};
+
+// Purge every workspace that has been in the trash longer than the retention window
+export const purgeExpiredWorkspaces = async () => {
+    const report = {
+        retentionDays: getRetentionDays(),
+        workspaces: [],
+        songsDeleted: 0,
+        filesDeleted: 0,
+        commentsDeleted: 0,
+        invitationsDeleted: 0,
+        jobsCancelled: 0,
+        failed: []
+    };
+
+    if (isPurging) return report;
+    isPurging = true;
+
+    try {
+        const cutoff = new Date(Date.now() - report.retentionDays * DAY_MS);
+
+        while (true) {
+            // Workspaces that failed this run are skipped so the rest still get purged
+            const workspaces = await Workspace.find({
+                _id: { $nin: report.failed.map(failure => failure.workspaceId) },
+                isTrashed: true,
+                isDefault: false,
+                trashedAt: { $lte: cutoff }
+            })
+                .select('_id name user trashedAt')
+                .sort({ trashedAt: 1 })
+                .limit(TRASH_RETENTION.BATCH_SIZE);
+
+            if (workspaces.length === 0) break;
+
+            for (const workspace of workspaces) {
+                try {
+                    const purged = await purgeWorkspace(workspace);
+
+                    report.workspaces.push(purged);
+                    report.songsDeleted += purged.songsDeleted;
+                    report.filesDeleted += purged.filesDeleted;
+                    report.commentsDeleted += purged.commentsDeleted;
+                    report.invitationsDeleted += purged.invitationsDeleted;
+                    report.jobsCancelled += purged.jobsCancelled;
+                } catch (error) {
+                    console.error(`❌ Failed to purge workspace ${workspace._id}:`, error);
+                    report.failed.push({ workspaceId: workspace._id, name: workspace.name, error: error.message });
+                }
+            }
+        }
+
+        if (report.workspaces.length > 0) {
+            console.log(
+                `🧹 Purged ${report.workspaces.length} trashed workspace(s): ` +
+                `${report.songsDeleted} song(s), ${report.filesDeleted} file(s), ` +
+                `${report.commentsDeleted} comment(s), ${report.invitationsDeleted} invitation(s), ` +
+                `${report.jobsCancelled} cancelled job(s)`
+            );
+        }
+
+        if (report.failed.length > 0) {
+            console.warn(`⚠️ ${report.failed.length} trashed workspace(s) could not be purged and will be retried next run`);
+        }
+    } catch (error) {
+        console.error('❌ Trash purge error:', error);
+        report.error = error.message;
+    } finally {
+        isPurging = false;
+    }
+
+    return report;
+};
+
+// Start the background purge
+export const startTrashPurge = () => {
+    if (purgeTimer) return;
+
+    const interval = parseInt(process.env.TRASH_PURGE_INTERVAL_MS) || TRASH_RETENTION.INTERVAL_MS;
+
+    purgeExpiredWorkspaces();
+    purgeTimer = setInterval(purgeExpiredWorkspaces, interval);
+    purgeTimer.unref();
+
+    console.log(`🗑️ Trash purge started (every ${interval / 60000} min, retention ${getRetentionDays()} days)`);
+};
+
+// Stop the background purge
+export const stopTrashPurge = () => {
+    if (!purgeTimer) return;
+
+    clearInterval(purgeTimer);
+    purgeTimer = null;
+    console.log('✅ Trash purge stopped');
+};
+
+export default {
+    getRetentionDays,
+    getPurgeDate,
+    getDaysUntilPurge,
+    purgeWorkspace,
+    purgeExpiredWorkspaces,
+    startTrashPurge,
+    stopTrashPurge
+};
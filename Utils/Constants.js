@@ -10,19 +10,25 @@ export const MODEL_INFO = {
         name: 'v3.5 - Balanced',
         description: 'Solid arrangements with creative diversity, up to 4 minutes duration',
         maxDuration: 240,
-        credits: 10
+        credits: 10,
+        maxLyricsLength: 3000,
+        maxStyleLength: 200
     },
     [MODEL_VERSIONS.V4]: {
         name: 'v4 - High Quality',
         description: 'Best audio quality with refined song structure, up to 4 minutes duration',
         maxDuration: 240,
-        credits: 10
+        credits: 10,
+        maxLyricsLength: 3000,
+        maxStyleLength: 200
     },
     [MODEL_VERSIONS.V4_5]: {
         name: 'v4.5 - Advanced',
         description: 'Superior genre blending with smarter prompts, up to 8 minutes duration',
         maxDuration: 480,
-        credits: 15
+        credits: 15,
+        maxLyricsLength: 5000,
+        maxStyleLength: 1000
     }
 };
 
@@ -57,6 +63,58 @@ export const SONG_STATUS = {
     FAILED: 'failed'
 };
 
+// How many times a song can be regenerated (Song.retryCount)
+export const MAX_SONG_RETRIES = 5;
+
+// Suno task statuses as reported by record-info and callbacks
+export const SUNO_TASK_STATUS = {
+    PENDING: 'PENDING',
+    TEXT_SUCCESS: 'TEXT_SUCCESS',
+    FIRST_SUCCESS: 'FIRST_SUCCESS',
+    SUCCESS: 'SUCCESS',
+    CREATE_TASK_FAILED: 'CREATE_TASK_FAILED',
+    GENERATE_AUDIO_FAILED: 'GENERATE_AUDIO_FAILED',
+    CALLBACK_EXCEPTION: 'CALLBACK_EXCEPTION',
+    SENSITIVE_WORD_ERROR: 'SENSITIVE_WORD_ERROR'
+};
+
+export const SUNO_SUCCESS_STATUSES = ['SUCCESS', 'COMPLETED'];
+
+export const SUNO_FAILURE_STATUSES = [
+    'FAILED',
+    'CREATE_TASK_FAILED',
+    'GENERATE_AUDIO_FAILED',
+    'CALLBACK_EXCEPTION',
+    'SENSITIVE_WORD_ERROR'
+];
+
+// Background polling of Suno tasks whose webhook never arrives
+export const SUNO_POLLING = {
+    INTERVAL_MS: 15 * 1000,
+    INITIAL_DELAY_MS: 60 * 1000,
+    BACKOFF_MS: [30 * 1000, 60 * 1000, 2 * 60 * 1000, 5 * 60 * 1000, 10 * 60 * 1000],
+    TIMEOUT_MS: 30 * 60 * 1000,
+    LOCK_MS: 2 * 60 * 1000,
+    BATCH_SIZE: 10
+};
+
+// Permanent purge of workspaces left in the trash
+export const TRASH_RETENTION = {
+    DAYS: 30,
+    INTERVAL_MS: 6 * 60 * 60 * 1000,
+    BATCH_SIZE: 20
+};
+
+// Webhook verification for Suno callbacks
+export const WEBHOOK = {
+    SIGNATURE_HEADER: 'x-webhook-signature',
+    TIMESTAMP_HEADER: 'x-webhook-timestamp',
+    EVENT_ID_HEADER: 'x-webhook-id',
+    TOKEN_PARAM: 'token',
+    SIGNATURE_TOLERANCE_S: 5 * 60,
+    EVENT_RETENTION_S: 7 * 24 * 60 * 60
+};
+
 // Upload Types
 export const UPLOAD_TYPES = {
     BASE64: 'base64',
@@ -98,6 +156,13 @@ export default {
     CREDIT_COSTS,
     AUDIO_MODES,
     SONG_STATUS,
+    MAX_SONG_RETRIES,
+    SUNO_TASK_STATUS,
+    SUNO_SUCCESS_STATUSES,
+    SUNO_FAILURE_STATUSES,
+    SUNO_POLLING,
+    TRASH_RETENTION,
+    WEBHOOK,
     UPLOAD_TYPES,
     VIDEO_STYLES,
     USER_ROLES,
@@ -14,6 +14,16 @@ export const formatDuration = (seconds) => {
     return `${minutes}:${remainingSeconds.toString().padStart(2, '0')}`;
 };
 
+// Parse a MM:SS (or H:MM:SS) position, or plain seconds, into seconds
+export const parseDuration = (value) => {
+    if (typeof value === 'number') return Number.isFinite(value) ? value : NaN;
+
+    const parts = String(value || '').trim().split(':');
+    if (parts.length > 3 || parts.some(part => !/^\d+(\.\d+)?$/.test(part))) return NaN;
+
+    return parts.reduce((total, part) => total * 60 + parseFloat(part), 0);
+};
+
 // Format file size from bytes to human readable
 export const formatFileSize = (bytes) => {
     if (!bytes || bytes === 0) return '0 B';
@@ -146,9 +156,33 @@ export const generateUniqueFilename = (originalName, extension = '') => {
     return `${baseName}_${timestamp}_${random}${ext ? '.' + ext : ''}`;
 };
 
+// Parse a single-range HTTP Range header against a file size.
+// Returns null when there is no usable range, false when it cannot be satisfied.
+export const parseRange = (header, size) => {
+    const match = /^bytes=(\d*)-(\d*)$/.exec(String(header || '').trim());
+    if (!match || (!match[1] && !match[2])) return null;
+
+    let start;
+    let end;
+
+    if (match[1]) {
+        start = parseInt(match[1]);
+        end = match[2] ? Math.min(parseInt(match[2]), size - 1) : size - 1;
+    } else {
+        // Suffix range: the last N bytes
+        start = Math.max(size - parseInt(match[2]), 0);
+        end = size - 1;
+    }
+
+    if (start >= size || start > end) return false;
+
+    return { start, end };
+};
+
 export default {
     generateRandomString,
     formatDuration,
+    parseDuration,
     formatFileSize,
     isValidEmail,
     generateSlug,
@@ -160,5 +194,6 @@ export default {
     deepClone,
     isValidAudioUrl,
     getFileExtension,
-    generateUniqueFilename
+    generateUniqueFilename,
+    parseRange
 };
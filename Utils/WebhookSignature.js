@@ -0,0 +1,114 @@
+import crypto from 'crypto';
+import { pathToFileURL } from 'url';
+import { WEBHOOK } from './Constants.js';
+
+// Shared secret used to sign callback tokens and webhook payloads
+export const getWebhookSecret = () => {
+    const secret = process.env.WEBHOOK_SECRET;
+    if (!secret) {
+        throw new Error('WEBHOOK_SECRET is not configured');
+    }
+    return secret;
+};
+
+const hmac = (secret, content) => {
+    return crypto.createHmac('sha256', secret).update(content).digest('hex');
+};
+
+// Constant-time string comparison
+export const safeEqual = (a, b) => {
+    const left = Buffer.from(String(a));
+    const right = Buffer.from(String(b));
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+// Tokens are stored hashed so a database leak cannot be replayed
+export const hashToken = (token) => {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+// Per-task token: a random nonce plus its HMAC, verifiable before the task ID is known
+export const createCallbackToken = (secret = getWebhookSecret()) => {
+    const nonce = crypto.randomBytes(16).toString('hex');
+    return `${nonce}.${hmac(secret, nonce)}`;
+};
+
+export const verifyCallbackToken = (token, secret = getWebhookSecret()) => {
+    const [nonce, signature] = String(token || '').split('.');
+    if (!nonce || !signature) return false;
+
+    return safeEqual(signature, hmac(secret, nonce));
+};
+
+// Append a fresh callback token to a callback URL
+export const withCallbackToken = (url) => {
+    const token = createCallbackToken();
+    const callbackUrl = new URL(url);
+    callbackUrl.searchParams.set(WEBHOOK.TOKEN_PARAM, token);
+
+    return { url: callbackUrl.toString(), token };
+};
+
+// Sign a payload the way verifyWebhook expects in HMAC header mode
+export const signWebhookPayload = (payload, {
+    secret = getWebhookSecret(),
+    timestamp = Math.floor(Date.now() / 1000),
+    eventId
+} = {}) => {
+    const body = typeof payload === 'string' ? payload : JSON.stringify(payload);
+
+    const headers = {
+        'Content-Type': 'application/json',
+        [WEBHOOK.SIGNATURE_HEADER]: `sha256=${hmac(secret, `${timestamp}.${body}`)}`,
+        [WEBHOOK.TIMESTAMP_HEADER]: String(timestamp)
+    };
+
+    if (eventId) {
+        headers[WEBHOOK.EVENT_ID_HEADER] = eventId;
+    }
+
+    return { body, headers };
+};
+
+// Check an HMAC header signature and its timestamp window
+export const verifyWebhookSignature = (rawBody, signature, timestamp, secret = getWebhookSecret()) => {
+    const sentAt = parseInt(timestamp);
+    if (!sentAt) {
+        return { valid: false, reason: 'Missing webhook timestamp' };
+    }
+
+    if (Math.abs(Math.floor(Date.now() / 1000) - sentAt) > WEBHOOK.SIGNATURE_TOLERANCE_S) {
+        return { valid: false, reason: 'Webhook timestamp is outside the allowed window' };
+    }
+
+    const expected = `sha256=${hmac(secret, `${sentAt}.${rawBody}`)}`;
+    if (!safeEqual(signature, expected)) {
+        return { valid: false, reason: 'Invalid webhook signature' };
+    }
+
+    return { valid: true };
+};
+
+// Local helper: node Utils/WebhookSignature.js '<json payload>' [url]
+// Prints a curl command that posts a correctly signed callback
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    const dotenv = await import('dotenv');
+    dotenv.config({ path: './Config/.env' });
+
+    const [payload = '{}', url = process.env.CALLBACK_URL] = process.argv.slice(2);
+    const { body, headers } = signWebhookPayload(payload, { eventId: crypto.randomUUID() });
+
+    const headerArgs = Object.entries(headers).map(([name, value]) => `-H '${name}: ${value}'`).join(' ');
+    console.log(`curl -X POST ${headerArgs} -d '${body}' '${url}'`);
+}
+
+export default {
+    getWebhookSecret,
+    safeEqual,
+    hashToken,
+    createCallbackToken,
+    verifyCallbackToken,
+    withCallbackToken,
+    signWebhookPayload,
+    verifyWebhookSignature
+};
@@ -26,6 +26,9 @@ import fs from 'fs';
 
 // Import database connection
 import { connectDB } from './Config/Db.js';
+import { startJobPoller, stopJobPoller } from './Services/JobQueue.js';
+import { startTrashPurge, stopTrashPurge } from './Services/TrashRetention.js';
+import { migrateLegacySongFiles } from './Services/Storage/index.js';
 
 // Import routes
 import authRoutes from './Routes/Auth.js';
@@ -36,6 +39,11 @@ import videoRoutes from './Routes/Video.js';
 import accountRoutes from './Routes/Account.js';
 import workspaceRoutes from './Routes/Workspaces.js';
 import webhookRoutes from './Routes/webhookRoutes.js';
+import storageRoutes from './Routes/Storage.js';
+import songRoutes from './Routes/Songs.js';
+import sharedRoutes from './Routes/Shared.js';
+import commentRoutes from './Routes/Comments.js';
+import invitationRoutes from './Routes/Invitations.js';
 
 // Get current directory (for ES modules)
 const __filename = fileURLToPath(import.meta.url);
@@ -72,21 +80,13 @@ app.set('trust proxy', 1);
 
 
 // ✅ IMPORTANT: Add static file serving BEFORE other middleware
-app.use('/generated-music', express.static(path.join(__dirname, 'public/generated-music'), {
-  maxAge: '1h',
-  setHeaders: (res, path) => {
-    if (path.endsWith('.mp3') || path.endsWith('.wav')) {
-      res.set('Content-Type', 'audio/mpeg');
-      res.set('Accept-Ranges', 'bytes');
-    }
-  }
-}));
-
+// Generated songs are only served through /api/songs/:songId/stream
 app.use('/uploads', express.static(path.join(__dirname, 'uploads'), {
   maxAge: '1h'
 }));
 
-app.use('/public', express.static(path.join(__dirname, 'public')));
+// Signed links to files kept by the local storage driver
+app.use('/storage', storageRoutes);
 
 // Test endpoint for static file serving
 app.get('/test-audio', (req, res) => {
@@ -94,7 +94,7 @@ app.get('/test-audio', (req, res) => {
     success: true,
     message: 'Audio endpoints available',
     endpoints: [
-      `${process.env.BACKEND_URL}/generated-music/filename.mp3`,
+      `${process.env.BACKEND_URL}/api/songs/:songId/stream`,
       `${process.env.BACKEND_URL}/uploads/filename.mp3`
     ],
     directories: {
@@ -154,6 +154,17 @@ const MONGODB = process.env.MONGO_URL;
 try {
   await connectDB(MONGODB);
   console.log('✅ Database connected successfully');
+
+  // Resume polling Suno tasks left unfinished by a previous run
+  await startJobPoller();
+
+  // Permanently remove workspaces left in the trash past the retention window
+  startTrashPurge();
+
+  // Songs saved under the old /generated-music folder move into storage in the background
+  migrateLegacySongFiles().catch(error => {
+    console.error('❌ Legacy song file migration failed:', error);
+  });
 } catch (error) {
   console.error('❌ Database connection failed:', error);
   process.exit(1);
@@ -178,13 +189,37 @@ const createRateLimit = (windowMs, max, message) => rateLimit({
   }
 });
 
+// Callbacks skip the API limit above but still get a generous one of their own
+const webhookRateLimit = rateLimit({
+  windowMs: 60 * 1000,
+  max: 300,
+  message: {
+    success: false,
+    message: 'Too many webhook requests',
+    retryAfter: 60
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
 // Apply rate limits
+app.use((req, res, next) => {
+  if (req.path.startsWith('/api/') && (req.path.includes('/callback') || req.path.includes('/webhooks'))) {
+    return webhookRateLimit(req, res, next);
+  }
+  next();
+});
 app.use('/api/auth/login', createRateLimit(15 * 60 * 1000, 5, 'Too many login attempts'));
 app.use('/api/auth/register', createRateLimit(15 * 60 * 1000, 3, 'Too many registration attempts'));
 app.use('/api/', createRateLimit(15 * 60 * 1000, 100, 'Too many API requests'));
 
-// Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+// Body parsing middleware - keep the raw body so webhook signatures can be verified
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // Request logging middleware
@@ -202,11 +237,15 @@ app.use('/api/webhooks', webhookRoutes);
 // API Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/music', musicRoutes);
+app.use('/api/songs', songRoutes);
+app.use('/api/shared', sharedRoutes);
+app.use('/api/comments', commentRoutes);
 app.use('/api/lyrics', lyricsRoutes);
 app.use('/api/audio', audioRoutes);
 app.use('/api/video', videoRoutes);
 app.use('/api/account', accountRoutes);
 app.use('/api/workspaces', workspaceRoutes);
+app.use('/api/invitations', invitationRoutes);
 
 
 // Health check endpoint
@@ -235,16 +274,20 @@ app.get('/api', (req, res) => {
     endpoints: {
       auth: '/api/auth',
       music: '/api/music',
+      songs: '/api/songs',
+      shared: '/api/shared',
+      comments: '/api/comments',
       lyrics: '/api/lyrics',
       audio: '/api/audio',
       video: '/api/video',
       account: '/api/account',
       workspaces: '/api/workspaces',
+      invitations: '/api/invitations',
       webhooks: '/api/webhooks'
     },
     staticPaths: {
-      'generated-music': '/generated-music',
-      'uploads': '/uploads'
+      'uploads': '/uploads',
+      'storage': '/storage'
     }
   });
 });
@@ -343,6 +386,9 @@ const gracefulShutdown = async (signal) => {
   console.log(`\n🛑 Received ${signal}. Starting graceful shutdown...`);
 
   try {
+    stopJobPoller();
+    stopTrashPurge();
+
     server.close(() => {
       console.log('✅ HTTP server closed');
     });
@@ -0,0 +1,262 @@
+import { describe, it, before, after, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import mongoose from 'mongoose';
+import Song from '../../Models/Song.js';
+import User from '../../Models/User.js';
+import Workspace from '../../Models/Workspace.js';
+import SunoJob from '../../Models/SunoJob.js';
+import CreditTransaction from '../../Models/CreditTransaction.js';
+import { MAX_SONG_RETRIES } from '../../Utils/Constants.js';
+
+// The Suno client refuses to load without an API key
+process.env.SUNO_API_KEY ||= 'test-key';
+process.env.WEBHOOK_SECRET ||= 'test-secret';
+process.env.CALLBACK_URL ||= 'https://api.example.com/api/webhooks/suno';
+
+// Stored audio goes to a scratch folder
+const storageRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'music-controller-test-'));
+process.env.STORAGE_DRIVER = 'local';
+process.env.STORAGE_LOCAL_ROOT = storageRoot;
+
+const { sunoApi } = await import('../../Config/SunoApi.js');
+const { default: musicController } = await import('../../Controllers/MusicController.js');
+
+const userId = new mongoose.Types.ObjectId();
+const workspaceId = new mongoose.Types.ObjectId();
+
+const mockResponse = () => ({
+    statusCode: 200,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(payload) { this.body = payload; return this; }
+});
+
+describe('regenerateSong', () => {
+    let source;
+    let stored;
+    let submit;
+
+    beforeEach(() => {
+        source = new Song({
+            title: 'Original',
+            status: 'completed',
+            derivationType: 'original',
+            user: userId,
+            workspace: workspaceId,
+            generationParams: { prompt: 'a calm piano piece', model: 'v4' }
+        });
+
+        // The source song as the database holds it
+        stored = { retryCount: 0 };
+        mock.method(Song, 'findOneAndUpdate', async (filter, update) => {
+            if (stored.retryCount >= filter.retryCount.$lt) return null;
+            stored.retryCount += update.$inc.retryCount;
+            return { _id: source._id, retryCount: stored.retryCount };
+        });
+        mock.method(Song, 'updateOne', async (filter, update) => {
+            if (update.$inc?.retryCount) stored.retryCount += update.$inc.retryCount;
+            return {};
+        });
+        mock.method(Song.prototype, 'save', async function () { return this; });
+        // No other versions of the source song yet
+        mock.method(Song, 'find', () => ({ select: () => ({ sort: () => ({ limit: async () => [] }) }) }));
+
+        mock.method(Workspace, 'findOne', async () => ({
+            _id: workspaceId,
+            hasPermission: () => true,
+            addSong: async () => {}
+        }));
+        mock.method(User, 'findOneAndUpdate', async () => ({ credits: 1000 }));
+        mock.method(CreditTransaction, 'create', async (doc) => ({ _id: new mongoose.Types.ObjectId(), ...doc }));
+        mock.method(CreditTransaction, 'updateOne', async () => ({}));
+        mock.method(SunoJob, 'findOneAndUpdate', async () => ({}));
+
+        let taskNumber = 0;
+        submit = mock.method(sunoApi, 'generateMusic', async () => ({ taskId: `task-${++taskNumber}` }));
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    const regenerate = async () => {
+        const res = mockResponse();
+        await musicController.regenerateSong({ song: source, body: {}, user: { id: userId } }, res);
+        return res;
+    };
+
+    it('rejects a sixth regenerate of the same song', async () => {
+        for (let attempt = 1; attempt <= MAX_SONG_RETRIES; attempt++) {
+            const res = await regenerate();
+            assert.equal(res.statusCode, 201);
+            assert.equal(res.body.data.retryCount, attempt);
+        }
+
+        const res = await regenerate();
+
+        assert.equal(res.statusCode, 400);
+        assert.match(res.body.message, /maximum of 5 times/);
+        assert.equal(submit.mock.callCount(), MAX_SONG_RETRIES);
+        assert.equal(CreditTransaction.create.mock.callCount(), MAX_SONG_RETRIES);
+    });
+
+    it('gives the retry back when Suno rejects the task', async () => {
+        submit.mock.mockImplementation(async () => { throw new Error('Suno is down'); });
+        mock.method(CreditTransaction, 'findOneAndUpdate', async () => null);
+        const unlinks = mock.method(Song, 'updateMany', async () => ({}));
+
+        const res = await regenerate();
+
+        assert.equal(res.statusCode, 500);
+        assert.equal(stored.retryCount, 0);
+        assert.ok(unlinks.mock.calls.some(call => call.arguments[1].$pull));
+    });
+
+    it('gives the retry back when the user cannot pay', async () => {
+        mock.method(User, 'findOneAndUpdate', async () => null);
+        mock.method(User, 'findById', () => ({ select: async () => ({ credits: 0 }) }));
+
+        const res = await regenerate();
+
+        assert.equal(res.statusCode, 400);
+        assert.equal(res.body.message, 'Insufficient credits. You need at least 10 credits.');
+        assert.equal(stored.retryCount, 0);
+    });
+});
+
+describe('extendMusic', () => {
+    let source;
+    let saved;
+    let unlinks;
+
+    beforeEach(() => {
+        source = new Song({
+            title: 'Original',
+            status: 'completed',
+            sunoAudioId: 'clip-a',
+            duration: 120,
+            user: userId,
+            workspace: workspaceId
+        });
+
+        saved = [];
+        mock.method(Song, 'findById', async () => source);
+        mock.method(Song, 'find', () => ({ select: () => ({ sort: () => ({ limit: async () => [] }) }) }));
+        mock.method(Song, 'updateOne', async () => ({}));
+        unlinks = mock.method(Song, 'updateMany', async () => ({}));
+        mock.method(Song.prototype, 'save', async function () {
+            saved.push(this);
+            return this;
+        });
+
+        mock.method(Workspace, 'findOne', async () => ({
+            _id: workspaceId,
+            hasPermission: () => true,
+            addSong: async () => {}
+        }));
+        mock.method(User, 'findOneAndUpdate', async () => ({ credits: 1000 }));
+        mock.method(CreditTransaction, 'create', async (doc) => ({ _id: new mongoose.Types.ObjectId(), ...doc }));
+        mock.method(CreditTransaction, 'findOneAndUpdate', async () => null);
+        mock.method(sunoApi, 'extendMusic', async () => { throw new Error('Suno is down'); });
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    it('drops a rejected extension from the source song\'s lineage', async () => {
+        const res = mockResponse();
+        await musicController.extendMusic(
+            { body: { song_id: source._id.toString(), prompt: 'keep going' }, user: { id: userId } },
+            res
+        );
+
+        assert.equal(res.statusCode, 500);
+
+        const song = saved.at(-1);
+        assert.equal(song.status, 'failed');
+        assert.equal(song.parentSong, undefined);
+
+        const pulled = unlinks.mock.calls.find(call => call.arguments[1].$pull);
+        assert.deepEqual(pulled.arguments[1].$pull.childSongs.$in, [song._id]);
+    });
+});
+
+describe('musicGenerationCallback', () => {
+    // Stands in for Suno's CDN
+    const server = http.createServer((req, res) => res.end('fake audio'));
+    let audioUrl;
+    let song;
+    let statsUpdates;
+    let jobResolve;
+
+    before(async () => {
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        audioUrl = `http://127.0.0.1:${server.address().port}/song.mp3`;
+    });
+
+    after(() => {
+        server.close();
+        fs.rmSync(storageRoot, { recursive: true, force: true });
+    });
+
+    beforeEach(() => {
+        song = new Song({
+            title: 'Legacy',
+            status: 'generating',
+            user: userId,
+            workspace: workspaceId,
+            sunoTaskId: 'task-1',
+            sunoTaskIds: [{ type: 'generate', taskId: 'task-1', status: 'processing' }]
+        });
+
+        let flipped = false;
+        mock.method(Song, 'findOne', async () => song);
+        mock.method(Song, 'findOneAndUpdate', async () => {
+            if (flipped) return null;
+            flipped = true;
+            return { _id: song._id };
+        });
+        mock.method(Song.prototype, 'save', async function () { return this; });
+        statsUpdates = mock.method(Workspace, 'findByIdAndUpdate', async () => ({}));
+        mock.method(CreditTransaction, 'updateMany', async () => ({}));
+        mock.method(CreditTransaction, 'find', () => ({ select: async () => [] }));
+
+        // The job stays pending until the first callback resolves it
+        jobResolve = mock.fn(async () => {});
+        mock.method(SunoJob, 'findOne', async () => (jobResolve.mock.callCount() === 0 ? { resolve: jobResolve } : null));
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    const callback = async (body) => {
+        const res = mockResponse();
+        await musicController.musicGenerationCallback(
+            { params: { songId: song._id.toString() }, body, webhook: { taskId: 'task-1' } },
+            res
+        );
+        return res;
+    };
+
+    it('completes the song once however often the callback is replayed', async () => {
+        const body = { status: 'completed', audio_url: audioUrl, duration: 100 };
+
+        assert.equal((await callback(body)).statusCode, 200);
+        assert.equal((await callback({ ...body, duration: 200 })).statusCode, 200);
+
+        assert.equal(song.status, 'completed');
+        assert.equal(song.storageKeys.audio, `songs/${song._id}/audio.mp3`);
+        assert.equal(song.audioUrl, undefined);
+        assert.equal(song.duration, 100);
+        assert.equal(statsUpdates.mock.callCount(), 1);
+        assert.deepEqual(jobResolve.mock.calls.map(call => call.arguments[0]), ['completed']);
+    });
+
+    it('fails the song and resolves its job', async () => {
+        await callback({ status: 'failed', error_message: 'Suno could not render it' });
+
+        assert.equal(song.status, 'failed');
+        assert.equal(song.errorMessage, 'Suno could not render it');
+        assert.deepEqual(jobResolve.mock.calls[0].arguments, ['failed', 'webhook', 'Suno could not render it']);
+    });
+});
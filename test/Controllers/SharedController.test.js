@@ -0,0 +1,104 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Song from '../../Models/Song.js';
+import Workspace from '../../Models/Workspace.js';
+import sharedController from '../../Controllers/SharedController.js';
+
+process.env.BACKEND_URL ||= 'https://api.example.com';
+
+const mockResponse = () => ({
+    statusCode: 200,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(payload) { this.body = payload; return this; }
+});
+
+const songWithCover = (fields = {}) => new Song({
+    title: 'Shared',
+    status: 'completed',
+    user: new mongoose.Types.ObjectId(),
+    coverUrl: 'https://cdn.suno.example/cover.jpg',
+    storageKeys: { cover: 'songs/abc/cover.jpg' },
+    ...fields
+});
+
+describe('getSharedSong', () => {
+    let song;
+
+    beforeEach(() => {
+        song = songWithCover({
+            sharing: { isShared: true, shareToken: 'song-token', sharePermissions: { canView: true } }
+        });
+        mock.method(Song, 'findOne', async () => song);
+        mock.method(Song.prototype, 'populate', async function () { return this; });
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    it('links a stored cover through the song endpoint with the share token', async () => {
+        const res = mockResponse();
+        await sharedController.getSharedSong({ params: { token: 'song-token' } }, res);
+
+        assert.equal(res.body.data.song.coverUrl, `${process.env.BACKEND_URL}/api/songs/${song._id}/cover?token=song-token`);
+    });
+
+    it('hides the cover when the link does not show details', async () => {
+        song.sharing.sharePermissions.canView = false;
+
+        const res = mockResponse();
+        await sharedController.getSharedSong({ params: { token: 'song-token' } }, res);
+
+        assert.equal(res.body.data.song.coverUrl, null);
+    });
+});
+
+describe('getSharedWorkspace', () => {
+    let workspace;
+
+    beforeEach(() => {
+        workspace = new Workspace({
+            name: 'Shared',
+            user: new mongoose.Types.ObjectId(),
+            isShared: true,
+            shareToken: 'workspace-token',
+            shareSettings: { isPublic: false }
+        });
+        mock.method(Workspace, 'findOne', async () => workspace);
+        mock.method(Workspace.prototype, 'populate', async function () { return this; });
+
+        const song = songWithCover({ workspace: workspace._id });
+        mock.method(Song, 'find', () => ({ sort: () => ({ limit: () => ({ skip: async () => [song] }) }) }));
+        mock.method(Song, 'countDocuments', async () => 1);
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    const open = async (user) => {
+        const res = mockResponse();
+        await sharedController.getSharedWorkspace({ params: { token: 'workspace-token' }, query: {}, user }, res);
+        return res;
+    };
+
+    it('asks anonymous visitors of a private link to sign in', async () => {
+        const res = await open();
+
+        assert.equal(res.statusCode, 401);
+    });
+
+    it('opens a private link for a signed-in visitor', async () => {
+        const res = await open({ id: new mongoose.Types.ObjectId() });
+
+        assert.equal(res.statusCode, 200);
+        assert.match(res.body.data.songs[0].coverUrl, /\/cover\?token=workspace-token$/);
+    });
+
+    it('rejects an expired link', async () => {
+        workspace.shareSettings.isPublic = true;
+        workspace.shareSettings.expiresAt = new Date(Date.now() - 1000);
+
+        const res = await open();
+
+        assert.equal(res.statusCode, 404);
+    });
+});
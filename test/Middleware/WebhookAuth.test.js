@@ -0,0 +1,112 @@
+import { describe, it, before, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Song from '../../Models/Song.js';
+import SunoJob from '../../Models/SunoJob.js';
+import WebhookEvent from '../../Models/WebhookEvent.js';
+import verifyWebhook from '../../Middleware/WebhookAuth.js';
+import { createCallbackToken, hashToken } from '../../Utils/WebhookSignature.js';
+
+// Minimal Express request/response pair for one webhook call
+const callWebhook = async ({ body = {}, token, params = {} }) => {
+    const req = {
+        body,
+        params,
+        query: token ? { token } : {},
+        baseUrl: '/api/audio',
+        path: '/wav-callback',
+        get: () => undefined
+    };
+    const res = {
+        statusCode: 200,
+        body: null,
+        status(code) { this.statusCode = code; return this; },
+        json(payload) { this.body = payload; return this; },
+        on: () => {}
+    };
+
+    let nextCalled = false;
+    await verifyWebhook(req, res, () => { nextCalled = true; });
+
+    return { req, res, nextCalled };
+};
+
+// SunoJob.findOne(...).select('+callbackTokenHash') resolving to the given job
+const mockJob = (job) => mock.method(SunoJob, 'findOne', () => ({ select: async () => job }));
+
+describe('verifyWebhook token mode', () => {
+    before(() => {
+        process.env.WEBHOOK_SECRET ||= 'test-secret';
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    it('accepts the token issued for the task', async () => {
+        const token = createCallbackToken();
+        const findOne = mockJob({ taskId: 'task-1', callbackTokenHash: hashToken(token) });
+        mock.method(WebhookEvent, 'create', async () => ({}));
+
+        const { req, nextCalled } = await callWebhook({ body: { data: { task_id: 'task-1' } }, token });
+
+        assert.equal(nextCalled, true);
+        assert.deepEqual(findOne.mock.calls[0].arguments[0], { taskId: 'task-1' });
+        assert.deepEqual(req.webhook.taskId, 'task-1');
+        assert.equal(req.webhook.mode, 'token');
+    });
+
+    it('rejects a valid token that was issued for another task', async () => {
+        mockJob({ taskId: 'task-1', callbackTokenHash: hashToken(createCallbackToken()) });
+
+        const { res, nextCalled } = await callWebhook({ body: { taskId: 'task-1' }, token: createCallbackToken() });
+
+        assert.equal(nextCalled, false);
+        assert.equal(res.statusCode, 401);
+    });
+
+    it('fails closed when the task has no job or no stored hash', async () => {
+        const token = createCallbackToken();
+
+        mockJob(null);
+        assert.equal((await callWebhook({ body: { taskId: 'task-1' }, token })).res.statusCode, 401);
+
+        mock.restoreAll();
+        mockJob({ taskId: 'task-1' });
+        assert.equal((await callWebhook({ body: { taskId: 'task-1' }, token })).res.statusCode, 401);
+    });
+
+    it('rejects a forged token before looking up the job', async () => {
+        const findOne = mockJob(null);
+
+        const { res } = await callWebhook({ body: { taskId: 'task-1' }, token: 'abc.def' });
+
+        assert.equal(res.statusCode, 401);
+        assert.equal(findOne.mock.callCount(), 0);
+    });
+
+    it('requires a token or signature', async () => {
+        const { res } = await callWebhook({ body: { taskId: 'task-1' } });
+
+        assert.equal(res.statusCode, 401);
+        assert.equal(res.body.message, 'Webhook authentication required');
+    });
+
+    it('binds song callbacks to the task of the song in the URL', async () => {
+        const token = createCallbackToken();
+        const songId = new mongoose.Types.ObjectId().toString();
+        mock.method(Song, 'findById', () => ({
+            select: async () => ({ sunoTaskId: 'task-1', sunoTaskIds: [{ taskId: 'task-1' }] })
+        }));
+        const findOne = mockJob({ taskId: 'task-1', callbackTokenHash: hashToken(token) });
+        mock.method(WebhookEvent, 'create', async () => ({}));
+
+        // The body names another song's task
+        const mismatch = await callWebhook({ body: { taskId: 'task-2' }, token, params: { songId } });
+        assert.equal(mismatch.res.statusCode, 401);
+        assert.equal(findOne.mock.callCount(), 0);
+
+        // No task in the body: the song's own task is checked
+        const bound = await callWebhook({ body: { status: 'completed' }, token, params: { songId } });
+        assert.equal(bound.nextCalled, true);
+        assert.deepEqual(findOne.mock.calls[0].arguments[0], { taskId: 'task-1' });
+    });
+});
@@ -0,0 +1,184 @@
+import { describe, it, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Workspace from '../../Models/Workspace.js';
+import { resolveSongAccess } from '../../Services/Authorization.js';
+
+const id = () => new mongoose.Types.ObjectId();
+
+const ownerId = id();
+const workspaceId = id();
+
+const makeSong = (overrides = {}) => ({
+    user: ownerId,
+    workspace: workspaceId,
+    collaborators: [],
+    sharing: {},
+    ...overrides
+});
+
+// Workspace.findOne answers both the membership lookup (chained with .select) and share-link lookups
+const mockWorkspace = (workspace) => mock.method(Workspace, 'findOne', (filter) => {
+    if (filter.shareToken) {
+        return Promise.resolve(workspace?.shareToken === filter.shareToken ? workspace : null);
+    }
+    return { select: async () => workspace };
+});
+
+const collaboratorWorkspace = (userId, role, permissions = {}) => ({
+    _id: workspaceId,
+    user: ownerId,
+    collaborators: [{ user: userId, role, permissions }]
+});
+
+afterEach(() => mock.restoreAll());
+
+describe('resolveSongAccess', () => {
+    it('gives the song owner full access', async () => {
+        const access = await resolveSongAccess(makeSong(), { user: { id: ownerId } });
+
+        assert.equal(access.type, 'owner');
+        assert.equal(access.canEdit, true);
+        assert.equal(access.canDelete, true);
+        assert.equal(access.canModerate, true);
+        assert.equal(access.canManageCollaborators, true);
+    });
+
+    it('gives the workspace owner full access to songs others generated in it', async () => {
+        const workspaceOwner = id();
+        mockWorkspace({ _id: workspaceId, user: workspaceOwner, collaborators: [] });
+
+        const access = await resolveSongAccess(makeSong(), { user: { _id: workspaceOwner } });
+
+        assert.equal(access.role, 'owner');
+        assert.equal(access.canDelete, true);
+    });
+
+    it('lets a workspace viewer listen and comment but not change the song', async () => {
+        const viewer = id();
+        mockWorkspace(collaboratorWorkspace(viewer, 'viewer'));
+
+        const access = await resolveSongAccess(makeSong(), { user: { id: viewer } });
+
+        assert.equal(access.type, 'collaborator');
+        assert.equal(access.role, 'viewer');
+        assert.equal(access.canPlay, true);
+        assert.equal(access.canComment, true);
+        assert.equal(access.canEdit, false);
+        assert.equal(access.canDelete, false);
+        assert.equal(access.canModerate, false);
+        assert.equal(access.canManageCollaborators, false);
+    });
+
+    it('follows the workspace permissions of an editor', async () => {
+        const editor = id();
+        mockWorkspace(collaboratorWorkspace(editor, 'editor', { canEditSongs: true }));
+
+        const access = await resolveSongAccess(makeSong(), { user: { id: editor } });
+
+        assert.equal(access.canEdit, true);
+        assert.equal(access.canDelete, false);
+    });
+
+    it('lets workspace admins moderate', async () => {
+        const admin = id();
+        mockWorkspace(collaboratorWorkspace(admin, 'admin', { canEditSongs: true, canDeleteSongs: true }));
+
+        const access = await resolveSongAccess(makeSong(), { user: { id: admin } });
+
+        assert.equal(access.canModerate, true);
+        assert.equal(access.canDelete, true);
+    });
+
+    it('lets a song editor edit without deleting or managing collaborators', async () => {
+        const editor = id();
+        mockWorkspace(null);
+
+        const access = await resolveSongAccess(
+            makeSong({ collaborators: [{ user: editor, role: 'editor' }] }),
+            { user: { id: editor } }
+        );
+
+        assert.equal(access.role, 'editor');
+        assert.equal(access.canEdit, true);
+        assert.equal(access.canDelete, false);
+        assert.equal(access.canManageCollaborators, false);
+    });
+
+    it('lets a song co-owner manage its collaborators', async () => {
+        const coOwner = id();
+        mockWorkspace(null);
+
+        const access = await resolveSongAccess(
+            makeSong({ collaborators: [{ user: coOwner, role: 'owner' }] }),
+            { user: { id: coOwner } }
+        );
+
+        assert.equal(access.canDelete, true);
+        assert.equal(access.canModerate, true);
+        assert.equal(access.canManageCollaborators, true);
+    });
+
+    it('prefers the song role over the workspace role', async () => {
+        const member = id();
+        mockWorkspace(collaboratorWorkspace(member, 'viewer'));
+
+        const access = await resolveSongAccess(
+            makeSong({ collaborators: [{ user: member, role: 'editor' }] }),
+            { user: { id: member } }
+        );
+
+        assert.equal(access.role, 'editor');
+        assert.equal(access.canEdit, true);
+    });
+
+    it('applies the share permissions of a valid song share link', async () => {
+        mockWorkspace(null);
+        const song = makeSong({
+            sharing: { isShared: true, shareToken: 'song-token', sharePermissions: { canDownload: true } }
+        });
+
+        const access = await resolveSongAccess(song, { shareToken: 'song-token' });
+
+        assert.equal(access.type, 'share');
+        assert.equal(access.canView, true);
+        assert.equal(access.canDownload, true);
+        assert.equal(access.canComment, false);
+        assert.equal(access.canEdit, false);
+        assert.equal(access.canManageCollaborators, false);
+    });
+
+    it('ignores revoked and expired song share links', async () => {
+        mockWorkspace(null);
+        const expired = makeSong({
+            sharing: { isShared: true, shareToken: 'song-token', shareExpiresAt: new Date(Date.now() - 1000) }
+        });
+        const revoked = makeSong({ sharing: { isShared: false, shareToken: 'song-token' } });
+
+        assert.equal(await resolveSongAccess(expired, { shareToken: 'song-token' }), null);
+        assert.equal(await resolveSongAccess(revoked, { shareToken: 'song-token' }), null);
+    });
+
+    it('opens songs through a public share link of their workspace', async () => {
+        mockWorkspace({
+            _id: workspaceId,
+            isShared: true,
+            isTrashed: false,
+            shareToken: 'workspace-token',
+            shareSettings: { isPublic: true, allowDownloads: true }
+        });
+
+        const access = await resolveSongAccess(makeSong(), { shareToken: 'workspace-token' });
+
+        assert.equal(access.type, 'share');
+        assert.equal(access.canDownload, true);
+        assert.equal(access.canComment, false);
+    });
+
+    it('gives strangers nothing', async () => {
+        mockWorkspace(null);
+
+        assert.equal(await resolveSongAccess(makeSong(), { user: { id: id() } }), null);
+        assert.equal(await resolveSongAccess(makeSong(), {}), null);
+    });
+});
@@ -0,0 +1,235 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import User from '../../Models/User.js';
+import CreditTransaction from '../../Models/CreditTransaction.js';
+import {
+    reserveCredits,
+    settleTaskCredits,
+    refundReservation,
+    refundTaskCredits,
+    transferSongCharge
+} from '../../Services/CreditLedger.js';
+
+const userId = new mongoose.Types.ObjectId();
+const songId = new mongoose.Types.ObjectId();
+
+// Stand-in for a query that is chained with .sort() or .select() before it is awaited
+const chain = (result) => ({
+    sort: () => Promise.resolve(result),
+    select: () => Promise.resolve(result)
+});
+
+// Pass every created row back with an _id, the way Model.create does
+const mockCreate = () => mock.method(CreditTransaction, 'create', async (doc) => ({
+    _id: new mongoose.Types.ObjectId(),
+    ...doc
+}));
+
+afterEach(() => mock.restoreAll());
+
+describe('reserveCredits', () => {
+    it('takes the credits and records a reserved usage row', async () => {
+        const userUpdate = mock.method(User, 'findOneAndUpdate', async () => ({ credits: 90 }));
+        const create = mockCreate();
+
+        const reservation = await reserveCredits({ user: userId, amount: 10, feature: 'generate', description: 'Song' });
+
+        const [filter, update] = userUpdate.mock.calls[0].arguments;
+        assert.deepEqual(filter, { _id: userId, credits: { $gte: 10 } });
+        assert.deepEqual(update, { $inc: { credits: -10, totalCreditsUsed: 10 } });
+
+        assert.equal(create.mock.callCount(), 1);
+        assert.equal(reservation.type, 'usage');
+        assert.equal(reservation.status, 'reserved');
+        assert.equal(reservation.amount, -10);
+        assert.equal(reservation.balanceAfter, 90);
+    });
+
+    it('refuses a user who cannot afford it', async () => {
+        mock.method(User, 'findOneAndUpdate', async () => null);
+        mock.method(User, 'findById', () => chain({ credits: 4 }));
+        const create = mockCreate();
+
+        await assert.rejects(
+            reserveCredits({ user: userId, amount: 10, feature: 'generate' }),
+            { status: 400, code: 'INSUFFICIENT_CREDITS', required: 10, available: 4 }
+        );
+        assert.equal(create.mock.callCount(), 0);
+    });
+
+    it('gives the credits back if the usage row cannot be written', async () => {
+        mock.method(User, 'findOneAndUpdate', async () => ({ credits: 90 }));
+        mock.method(CreditTransaction, 'create', async () => { throw new Error('write failed'); });
+        const restore = mock.method(User, 'updateOne', async () => ({}));
+
+        await assert.rejects(reserveCredits({ user: userId, amount: 10, feature: 'generate' }), /write failed/);
+
+        assert.deepEqual(restore.mock.calls[0].arguments, [
+            { _id: userId },
+            { $inc: { credits: 10, totalCreditsUsed: -10 } }
+        ]);
+    });
+});
+
+describe('settleTaskCredits', () => {
+    it('settles only the reserved usage rows of the task', async () => {
+        const updateMany = mock.method(CreditTransaction, 'updateMany', async () => ({ modifiedCount: 1 }));
+
+        await settleTaskCredits('task-1');
+
+        const [filter, update] = updateMany.mock.calls[0].arguments;
+        assert.deepEqual(filter, { taskId: 'task-1', type: 'usage', status: 'reserved' });
+        assert.equal(update.$set.status, 'settled');
+    });
+
+    it('does nothing without a task', async () => {
+        const updateMany = mock.method(CreditTransaction, 'updateMany', async () => ({}));
+
+        assert.equal(await settleTaskCredits(undefined), null);
+        assert.equal(updateMany.mock.callCount(), 0);
+    });
+});
+
+describe('refundReservation', () => {
+    it('returns the credits and records a refund linked to the charge', async () => {
+        const chargeId = new mongoose.Types.ObjectId();
+        mock.method(CreditTransaction, 'findOneAndUpdate', async () => ({
+            _id: chargeId,
+            user: userId,
+            amount: -10,
+            feature: 'generate',
+            song: songId,
+            taskId: 'task-1',
+            description: 'Song'
+        }));
+        const userUpdate = mock.method(User, 'findByIdAndUpdate', async () => ({ credits: 100 }));
+        mockCreate();
+
+        const refund = await refundReservation(chargeId, 'Suno failed');
+
+        assert.deepEqual(userUpdate.mock.calls[0].arguments[1], { $inc: { credits: 10, totalCreditsUsed: -10 } });
+        assert.equal(refund.type, 'refund');
+        assert.equal(refund.amount, 10);
+        assert.equal(refund.balanceAfter, 100);
+        assert.equal(refund.relatedTransaction, chargeId);
+        assert.equal(refund.refundReason, 'Suno failed');
+    });
+
+    it('is a no-op for a charge that was already refunded', async () => {
+        mock.method(CreditTransaction, 'findOneAndUpdate', async () => null);
+        const userUpdate = mock.method(User, 'findByIdAndUpdate', async () => null);
+        const create = mockCreate();
+
+        assert.equal(await refundReservation(new mongoose.Types.ObjectId()), null);
+        assert.equal(userUpdate.mock.callCount(), 0);
+        assert.equal(create.mock.callCount(), 0);
+    });
+});
+
+describe('refundTaskCredits', () => {
+    it('leaves settled charges alone when asked to', async () => {
+        const find = mock.method(CreditTransaction, 'find', () => chain([]));
+
+        await refundTaskCredits('task-1', 'Abandoned', { includeSettled: false });
+
+        assert.deepEqual(find.mock.calls[0].arguments[0].status, { $in: ['reserved'] });
+    });
+});
+
+describe('transferSongCharge', () => {
+    let charge;
+
+    beforeEach(() => {
+        charge = {
+            _id: new mongoose.Types.ObjectId(),
+            user: userId,
+            song: songId,
+            amount: -10,
+            status: 'settled',
+            feature: 'generate'
+        };
+    });
+
+    // The charge as the atomic transfer leaves it
+    const mockTransfer = () => mock.method(CreditTransaction, 'findOneAndUpdate', async (filter, update) => ({
+        ...charge,
+        ...update.$set
+    }));
+
+    it('returns null when the song has no generation charge', async () => {
+        const findOne = mock.method(CreditTransaction, 'findOne', () => chain(null));
+
+        assert.equal(await transferSongCharge({ song: songId, user: userId, amount: 10 }), null);
+        assert.equal(findOne.mock.calls[0].arguments[0].feature, 'generate');
+    });
+
+    it('moves a charge of the same price without touching the balance', async () => {
+        mock.method(CreditTransaction, 'findOne', () => chain(charge));
+        const transfer = mockTransfer();
+        const userUpdate = mock.method(User, 'findOneAndUpdate', async () => null);
+
+        const result = await transferSongCharge({ song: songId, user: userId, amount: 10 });
+
+        const [filter, update] = transfer.mock.calls[0].arguments;
+        assert.deepEqual(filter, { _id: charge._id, amount: -10, status: { $in: ['reserved', 'settled'] } });
+        assert.deepEqual(update.$set, { status: 'reserved', song: null });
+        assert.equal(userUpdate.mock.callCount(), 0);
+        assert.equal(result.reservations.length, 1);
+        assert.equal(result.charged, 0);
+        assert.equal(result.returned, 0);
+    });
+
+    it('reserves the difference for a dearer retry', async () => {
+        mock.method(CreditTransaction, 'findOne', () => chain(charge));
+        mockTransfer();
+        const userUpdate = mock.method(User, 'findOneAndUpdate', async () => ({ credits: 45 }));
+        mockCreate();
+
+        const result = await transferSongCharge({ song: songId, user: userId, amount: 15 });
+
+        assert.deepEqual(userUpdate.mock.calls[0].arguments[1], { $inc: { credits: -5, totalCreditsUsed: 5 } });
+        assert.equal(result.reservations.length, 2);
+        assert.equal(result.reservations[1].amount, -5);
+        assert.equal(result.charged, 5);
+    });
+
+    it('returns the surplus of a cheaper retry as an adjustment', async () => {
+        charge.amount = -15;
+        mock.method(CreditTransaction, 'findOne', () => chain(charge));
+        const transfer = mockTransfer();
+        const userUpdate = mock.method(User, 'findByIdAndUpdate', async () => ({ credits: 55 }));
+        const create = mockCreate();
+
+        const result = await transferSongCharge({ song: songId, user: userId, amount: 10 });
+
+        assert.equal(transfer.mock.calls[0].arguments[1].$set.amount, -10);
+        assert.deepEqual(userUpdate.mock.calls[0].arguments[1], { $inc: { credits: 5, totalCreditsUsed: -5 } });
+
+        const adjustment = create.mock.calls[0].arguments[0];
+        assert.equal(adjustment.type, 'adjustment');
+        assert.equal(adjustment.amount, 5);
+        assert.equal(adjustment.relatedTransaction, charge._id);
+        assert.equal(result.returned, 5);
+    });
+
+    it('refunds the top-up when another request moved the charge first', async () => {
+        mock.method(CreditTransaction, 'findOne', () => chain(charge));
+        mock.method(User, 'findOneAndUpdate', async () => ({ credits: 45 }));
+        mockCreate();
+
+        // First call is the transfer losing the race, second is refunding the top-up
+        const updates = [];
+        mock.method(CreditTransaction, 'findOneAndUpdate', async (filter) => {
+            updates.push(filter);
+            return updates.length === 1 ? null : { _id: filter._id, user: userId, amount: -5, feature: 'generate' };
+        });
+        mock.method(User, 'findByIdAndUpdate', async () => ({ credits: 50 }));
+
+        const result = await transferSongCharge({ song: songId, user: userId, amount: 15 });
+
+        assert.equal(result, null);
+        assert.equal(updates.length, 2);
+        assert.deepEqual(updates[1].status, { $in: ['reserved', 'settled'] });
+    });
+});
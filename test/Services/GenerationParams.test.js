@@ -0,0 +1,156 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    buildGenerationParams,
+    getSongText,
+    toSunoParams,
+    DEFAULT_GENERATION_PARAMS,
+    MAX_DESCRIPTION_LENGTH
+} from '../../Services/GenerationParams.js';
+
+// The validation messages a rejected body produced
+const errorsFor = (body, base) => {
+    try {
+        buildGenerationParams(body, base);
+    } catch (error) {
+        assert.equal(error.status, 400);
+        return error.errors;
+    }
+    assert.fail('Expected the parameters to be rejected');
+};
+
+describe('buildGenerationParams', () => {
+    it('fills in Suno defaults for a description-mode prompt', () => {
+        const params = buildGenerationParams({ prompt: '  a calm piano piece  ', model_version: 'v4' });
+
+        assert.equal(params.prompt, 'a calm piano piece');
+        assert.equal(params.customMode, false);
+        assert.equal(params.instrumental, false);
+        assert.equal(params.vocalGender, DEFAULT_GENERATION_PARAMS.vocalGender);
+        assert.equal(params.styleWeight, DEFAULT_GENERATION_PARAMS.styleWeight);
+    });
+
+    it('switches to custom mode when a style is given', () => {
+        const params = buildGenerationParams({ prompt: 'la la la', tags: 'synthpop', model_version: 'v4' });
+
+        assert.equal(params.customMode, true);
+        assert.equal(params.style, 'synthpop');
+    });
+
+    it('tidies lyrics and forces custom mode for them', () => {
+        const params = buildGenerationParams({
+            lyrics: '[Verse]\r\nHello there   \r\n\r\n\r\n\r\n[Chorus]\r\nGoodbye',
+            style: 'rock',
+            model_version: 'v4'
+        });
+
+        assert.equal(params.customMode, true);
+        assert.equal(params.lyrics, '[Verse]\nHello there\n\n[Chorus]\nGoodbye');
+    });
+
+    it('merges the body over base parameters', () => {
+        const params = buildGenerationParams(
+            { style_weight: '0.2' },
+            { prompt: 'old prompt', model: 'v3_5', vocalGender: 'f' }
+        );
+
+        assert.equal(params.prompt, 'old prompt');
+        assert.equal(params.model, 'v3_5');
+        assert.equal(params.vocalGender, 'f');
+        assert.equal(params.styleWeight, 0.2);
+    });
+
+    it('accepts string booleans from form bodies', () => {
+        const params = buildGenerationParams({
+            style: 'ambient',
+            make_instrumental: 'true',
+            custom_mode: 'true',
+            model_version: 'v4'
+        });
+
+        assert.equal(params.instrumental, true);
+        assert.equal(params.customMode, true);
+    });
+
+    it('requires a prompt in description mode', () => {
+        assert.deepEqual(errorsFor({ model_version: 'v4' }), ['Prompt is required for music generation']);
+    });
+
+    it('limits description-mode prompts', () => {
+        const errors = errorsFor({ prompt: 'x'.repeat(MAX_DESCRIPTION_LENGTH + 1), model_version: 'v4' });
+
+        assert.match(errors[0], /Prompt cannot exceed/);
+    });
+
+    it('rejects lyrics outside custom mode and on instrumentals', () => {
+        const errors = errorsFor({
+            lyrics: '[Verse]\nHello',
+            style: 'rock',
+            custom_mode: false,
+            make_instrumental: true,
+            model_version: 'v4'
+        });
+
+        assert.ok(errors.includes('Lyrics can only be used in custom mode'));
+        assert.ok(errors.includes('Instrumental songs cannot have lyrics'));
+    });
+
+    it('rejects broken section markers', () => {
+        assert.ok(errorsFor({ lyrics: '[Verse\nHello', style: 'rock', model_version: 'v4' })
+            .some(error => /not closed/.test(error)));
+        assert.ok(errorsFor({ lyrics: '[ ]\nHello', style: 'rock', model_version: 'v4' })
+            .some(error => /empty section marker/.test(error)));
+        assert.ok(errorsFor({ lyrics: '[Verse]\n[Chorus]', style: 'rock', model_version: 'v4' })
+            .some(error => /need words/.test(error)));
+    });
+
+    it('requires a style and something to sing in custom mode', () => {
+        const errors = errorsFor({ custom_mode: true, model_version: 'v4' });
+
+        assert.ok(errors.includes('Style (tags) is required in custom mode'));
+        assert.ok(errors.includes('Lyrics are required in custom mode unless the song is instrumental'));
+    });
+
+    it('applies the style limit of the chosen model', () => {
+        assert.doesNotThrow(() => buildGenerationParams({ prompt: 'hi', style: 'x'.repeat(1000), model_version: 'v4_5' }));
+
+        const errors = errorsFor({ prompt: 'hi', style: 'x'.repeat(201), model_version: 'v4' });
+        assert.ok(errors.includes('Style cannot exceed 200 characters for v4'));
+    });
+
+    it('rejects unknown models, vocal genders and out-of-range weights', () => {
+        const errors = errorsFor({
+            prompt: 'hi',
+            model_version: 'v9',
+            vocal_gender: 'x',
+            style_weight: 2,
+            audio_weight: ''
+        });
+
+        assert.ok(errors.some(error => /^Model version must be one of/.test(error)));
+        assert.ok(errors.includes('Vocal gender must be one of: m, f'));
+        assert.ok(errors.includes('style_weight must be a number between 0 and 1'));
+        assert.ok(errors.includes('audio_weight must be a number between 0 and 1'));
+    });
+});
+
+describe('lyrics in custom mode', () => {
+    it('sings the lyrics and keeps the prompt as the description', () => {
+        const params = buildGenerationParams({
+            prompt: 'a song about the sea',
+            lyrics: '[Verse]\nWaves',
+            style: 'folk',
+            model_version: 'v4'
+        });
+
+        assert.equal(toSunoParams(params, 'https://cb').prompt, '[Verse]\nWaves');
+        assert.deepEqual(getSongText(params), { description: 'a song about the sea', lyrics: '[Verse]\nWaves' });
+    });
+
+    it('sings a custom-mode prompt when no lyrics are given', () => {
+        const params = buildGenerationParams({ prompt: 'La la la', style: 'pop', model_version: 'v4' });
+
+        assert.equal(toSunoParams(params, 'https://cb').prompt, 'La la la');
+        assert.deepEqual(getSongText(params), { description: '', lyrics: 'La la la' });
+    });
+});
@@ -0,0 +1,179 @@
+import { describe, it, before, after, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import mongoose from 'mongoose';
+import Song from '../../Models/Song.js';
+import Workspace from '../../Models/Workspace.js';
+import CreditTransaction from '../../Models/CreditTransaction.js';
+import { applyGenerationCallback, parseGenerationCallback } from '../../Services/GenerationService.js';
+
+// Stored audio goes to a scratch folder
+const storageRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'generation-test-'));
+process.env.STORAGE_DRIVER = 'local';
+process.env.STORAGE_LOCAL_ROOT = storageRoot;
+
+// Stands in for Suno's CDN
+let downloads = 0;
+const server = http.createServer((req, res) => {
+    downloads += 1;
+    res.writeHead(200, { 'Content-Type': 'audio/mpeg' });
+    res.end('fake audio');
+});
+
+const userId = new mongoose.Types.ObjectId();
+const workspaceId = new mongoose.Types.ObjectId();
+
+describe('applyGenerationCallback', () => {
+    let baseUrl;
+    let primary;
+    let variants;
+    let completed;
+    let statsUpdates;
+
+    before(async () => {
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(() => {
+        server.close();
+        fs.rmSync(storageRoot, { recursive: true, force: true });
+    });
+
+    beforeEach(() => {
+        downloads = 0;
+        primary = new Song({
+            title: 'Primary',
+            status: 'generating',
+            user: userId,
+            workspace: workspaceId,
+            creditsUsed: 10,
+            sunoTaskId: 'task-1',
+            sunoTaskIds: [{ type: 'generate', taskId: 'task-1', status: 'processing' }]
+        });
+
+        // What the database would hold: created variants and songs already flipped to completed
+        variants = new Map();
+        completed = new Set();
+
+        mock.method(Song, 'findOne', async () => primary);
+        mock.method(Song, 'findOneAndUpdate', async (filter, update) => {
+            if ('variantOf' in filter) {
+                const existing = variants.get(filter.variantIndex);
+                if (existing) return { value: existing, lastErrorObject: { updatedExisting: true } };
+
+                const variant = new Song({ ...update.$setOnInsert, variantOf: filter.variantOf, variantIndex: filter.variantIndex });
+                variants.set(filter.variantIndex, variant);
+                return { value: variant, lastErrorObject: { updatedExisting: false } };
+            }
+
+            const id = filter._id.toString();
+            if (completed.has(id)) return null;
+            completed.add(id);
+            return { _id: filter._id };
+        });
+        mock.method(Song.prototype, 'save', async function () { return this; });
+
+        statsUpdates = mock.method(Workspace, 'findByIdAndUpdate', async () => ({}));
+        mock.method(Workspace, 'findById', async () => ({ addSong: async () => {} }));
+        mock.method(CreditTransaction, 'updateMany', async () => ({}));
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    const clips = () => [
+        { id: 'clip-a', audio_url: `${baseUrl}/a.mp3`, title: 'Take A', duration: 120 },
+        { id: 'clip-b', audio_url: `${baseUrl}/b.mp3`, title: 'Take B', duration: 90 }
+    ];
+
+    it('completes the song from the first clip and a variant from the second', async () => {
+        await applyGenerationCallback('task-1', 'complete', clips());
+
+        assert.equal(primary.status, 'completed');
+        assert.equal(primary.sunoAudioId, 'clip-a');
+        assert.equal(primary.storageKeys.audio, `songs/${primary._id}/audio.mp3`);
+        assert.equal(primary.audioUrl, undefined);
+
+        const variant = variants.get(1);
+        assert.equal(variant.status, 'completed');
+        assert.equal(variant.sunoAudioId, 'clip-b');
+        assert.ok(variant.variantOf.equals(primary._id));
+
+        assert.equal(statsUpdates.mock.callCount(), 2);
+        assert.equal(downloads, 2);
+    });
+
+    it('ignores a replayed callback', async () => {
+        await applyGenerationCallback('task-1', 'complete', clips());
+        await applyGenerationCallback('task-1', 'complete', clips());
+
+        assert.equal(variants.size, 1);
+        assert.equal(statsUpdates.mock.callCount(), 2);
+        assert.equal(downloads, 2);
+    });
+
+    it('completes staged callbacks once each', async () => {
+        const [first, second] = clips();
+
+        await applyGenerationCallback('task-1', 'text', [{ ...first, audio_url: undefined, prompt: 'la la' }]);
+        assert.equal(primary.status, 'generating');
+
+        // The second clip is still rendering when the first is ready
+        await applyGenerationCallback('task-1', 'first', [first, { ...second, audio_url: undefined }]);
+        assert.equal(primary.status, 'completed');
+        assert.equal(variants.size, 0);
+
+        await applyGenerationCallback('task-1', 'complete', [first, second]);
+        assert.equal(variants.get(1).status, 'completed');
+        assert.equal(statsUpdates.mock.callCount(), 2);
+        assert.equal(downloads, 2);
+
+        // A late text stage never reopens a finished song
+        await applyGenerationCallback('task-1', 'text', []);
+        assert.equal(primary.status, 'completed');
+    });
+
+    it('leaves a failed song alone when results arrive late', async () => {
+        primary.status = 'failed';
+
+        await applyGenerationCallback('task-1', 'complete', clips());
+
+        assert.equal(primary.status, 'failed');
+        assert.equal(downloads, 0);
+    });
+});
+
+describe('parseGenerationCallback', () => {
+    it('reads Suno callbacks', () => {
+        const result = parseGenerationCallback({
+            code: 200,
+            msg: 'success',
+            data: { callbackType: 'first', task_id: 'task-1', data: [{ id: 'clip-a' }] }
+        });
+
+        assert.equal(result.taskId, 'task-1');
+        assert.equal(result.success, true);
+        assert.equal(result.callbackType, 'first');
+        assert.deepEqual(result.clips, [{ id: 'clip-a' }]);
+    });
+
+    it('reads failed Suno callbacks', () => {
+        const result = parseGenerationCallback({ code: 501, msg: 'Generation failed', data: { task_id: 'task-1' } });
+
+        assert.equal(result.success, false);
+        assert.equal(result.errorMessage, 'Generation failed');
+        assert.deepEqual(result.clips, []);
+    });
+
+    it('reads the flat shape of older per-song callbacks as one clip', () => {
+        const result = parseGenerationCallback({ status: 'completed', audio_url: 'https://cdn/a.mp3', duration: 100 });
+
+        assert.equal(result.success, true);
+        assert.equal(result.callbackType, 'complete');
+        assert.equal(result.clips[0].audio_url, 'https://cdn/a.mp3');
+        assert.equal(parseGenerationCallback({ status: 'processing' }).success, null);
+    });
+});
@@ -0,0 +1,54 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Song from '../../Models/Song.js';
+import { createDerivedSong } from '../../Services/SongLineage.js';
+
+const userId = new mongoose.Types.ObjectId();
+
+const createSong = (fields = {}) => new Song({ title: 'Song', user: userId, ...fields });
+
+describe('createDerivedSong', () => {
+    let songs;
+
+    beforeEach(() => {
+        songs = [];
+
+        // Queries run against the songs array as the database would
+        const chain = (result) => ({
+            select: () => chain(result),
+            sort: () => chain(result),
+            limit: () => chain(result),
+            then: (...args) => Promise.resolve(result).then(...args)
+        });
+        mock.method(Song, 'findById', (id) => chain(songs.find(song => song._id.equals(id)) || null));
+        mock.method(Song, 'find', (filter) => {
+            const frontier = filter.$or[0].parentSong.$in.map(id => id.toString());
+            const excluded = filter._id.$nin;
+            return chain(songs.filter(song =>
+                !excluded.includes(song._id.toString()) &&
+                [song.parentSong, song.variantOf].some(id => id && frontier.includes(id.toString()))
+            ));
+        });
+        mock.method(Song, 'updateOne', async () => ({}));
+        mock.method(Song.prototype, 'save', async function () {
+            songs.push(this);
+            return this;
+        });
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    it('numbers a song derived from the original after the latest version in its tree', async () => {
+        const original = createSong({ version: 1 });
+        songs.push(original);
+
+        const extended = await createDerivedSong(original, { derivationType: 'extend', title: 'Extended', user: userId });
+        await createDerivedSong(extended, { derivationType: 'cover', title: 'Cover', user: userId });
+        const second = await createDerivedSong(original, { derivationType: 'extend', title: 'Extended again', user: userId });
+
+        assert.equal(extended.version, 2);
+        assert.equal(second.version, 4);
+        assert.ok(second.parentSong.equals(original._id));
+    });
+});
@@ -0,0 +1,72 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    createCallbackToken,
+    verifyCallbackToken,
+    withCallbackToken,
+    hashToken,
+    signWebhookPayload,
+    verifyWebhookSignature
+} from '../../Utils/WebhookSignature.js';
+
+const secret = 'test-secret';
+
+describe('callback tokens', () => {
+    it('verifies a token signed with the same secret', () => {
+        assert.equal(verifyCallbackToken(createCallbackToken(secret), secret), true);
+    });
+
+    it('rejects tokens from another secret, tampered tokens and malformed ones', () => {
+        const token = createCallbackToken(secret);
+        const [nonce, signature] = token.split('.');
+
+        assert.equal(verifyCallbackToken(token, 'other-secret'), false);
+        assert.equal(verifyCallbackToken(`${nonce}0.${signature}`, secret), false);
+        assert.equal(verifyCallbackToken(nonce, secret), false);
+        assert.equal(verifyCallbackToken('', secret), false);
+        assert.equal(verifyCallbackToken(undefined, secret), false);
+    });
+
+    it('issues a fresh token per callback URL', () => {
+        process.env.WEBHOOK_SECRET ||= secret;
+
+        const first = withCallbackToken('https://api.example.com/api/audio/wav-callback');
+        const second = withCallbackToken('https://api.example.com/api/audio/wav-callback');
+
+        assert.notEqual(first.token, second.token);
+        assert.equal(new URL(first.url).searchParams.get('token'), first.token);
+        assert.equal(verifyCallbackToken(first.token), true);
+    });
+
+    it('hashes tokens deterministically', () => {
+        const token = createCallbackToken(secret);
+
+        assert.equal(hashToken(token), hashToken(token));
+        assert.notEqual(hashToken(token), token);
+    });
+});
+
+describe('webhook signatures', () => {
+    it('accepts a payload signed by signWebhookPayload', () => {
+        const { body, headers } = signWebhookPayload({ taskId: 'task-1' }, { secret });
+
+        const result = verifyWebhookSignature(body, headers['x-webhook-signature'], headers['x-webhook-timestamp'], secret);
+        assert.deepEqual(result, { valid: true });
+    });
+
+    it('rejects a changed body', () => {
+        const { headers } = signWebhookPayload({ taskId: 'task-1' }, { secret });
+
+        const result = verifyWebhookSignature('{"taskId":"task-2"}', headers['x-webhook-signature'], headers['x-webhook-timestamp'], secret);
+        assert.equal(result.valid, false);
+    });
+
+    it('rejects a stale timestamp', () => {
+        const timestamp = Math.floor(Date.now() / 1000) - 3600;
+        const { body, headers } = signWebhookPayload({ taskId: 'task-1' }, { secret, timestamp });
+
+        const result = verifyWebhookSignature(body, headers['x-webhook-signature'], headers['x-webhook-timestamp'], secret);
+        assert.equal(result.valid, false);
+        assert.match(result.reason, /outside the allowed window/);
+    });
+});